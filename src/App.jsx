@@ -9,7 +9,7 @@
  * - NO data is sent to any external server
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 
 import { WelcomeScreen, CreateWalletScreen, ImportWalletScreen } from './components/welcome';
@@ -17,6 +17,7 @@ import { Dashboard } from './components/dashboard';
 import { SettingsScreen } from './components/settings';
 import { LockScreen, SetupPassword } from './components/lockscreen';
 import { DappApprovalScreen } from './components/dapp/DappApproval';
+import { PhishingWarning } from './components/dapp/PhishingWarning';
 
 import {
   hasPasswordSecure as hasPassword,
@@ -41,6 +42,8 @@ import {
 // Import VerifyPasswordSecure explicitly for session restore context consistency
 import { verifyPasswordSecure } from './utils/storageSecure';
 import { getRpcClient, setRpcUrl } from './utils/rpc';
+import { popupRequest } from './utils/popupRequest';
+import { NETWORKS } from './constants';
 import { encryptSession, decryptSession, generateSessionKey } from './utils/crypto';
 
 // Activity logging
@@ -61,6 +64,38 @@ const cacheSet = (key, data, ttl) => {
   localStorage.setItem(`cache_app_${key}`, JSON.stringify({ data, expiry }));
 };
 
+// Keys of every wallet, so the background can sign for the account bound to each dApp.
+// Only ciphertext is included (Zero-Trust session).
+const buildSessionAccounts = async (walletList, encryptionKey) => {
+  const accounts = {};
+  for (const w of walletList) {
+    const pk = keyringService.getPrivateKey(w.address, 'dapp-session');
+    if (!pk) continue;
+    accounts[w.address] = { publicKey: w.publicKeyB64, encryptedPrivateKey: await encryptSession(pk, encryptionKey) };
+  }
+  return accounts;
+};
+
+// Active network kept by the background (dApps can switch it); mainnet if unavailable
+const findActiveNetwork = (networkId) =>
+  Object.values(NETWORKS).find(n => n.id === networkId && n.rpcUrl) || NETWORKS.MAINNET;
+
+const loadActiveNetwork = async () => {
+  try {
+    const network = await popupRequest('getNetwork');
+    return findActiveNetwork(network?.networkId);
+  } catch {
+    return NETWORKS.MAINNET;
+  }
+};
+
+// Settings on the active network (a custom RPC only applies to mainnet)
+const withActiveNetwork = (settings, network) => ({
+  ...settings,
+  network: network.id,
+  ...(network.id !== NETWORKS.MAINNET.id && { rpcUrl: network.rpcUrl })
+});
+
 function App() {
   // App State
   const [view, setView] = useState('loading');
@@ -103,8 +138,9 @@ function App() {
   }, []);
 
   const [dappApprovalId, setDappApprovalId] = useState(null);
+  const [phishingWarning, setPhishingWarning] = useState(null);
 
-  // Check for dApp approval request in URL hash
+  // Check for dApp approval request (or phishing warning) in URL hash
   useEffect(() => {
     const hash = window.location.hash;
     if (hash && hash.startsWith('#/dapp/approve')) {
@@ -113,6 +149,9 @@ function App() {
       if (id) {
         setDappApprovalId(id);
       }
+    } else if (hash && hash.startsWith('#/phishing')) {
+      const params = new URLSearchParams(hash.split('?')[1]);
+      setPhishingWarning(Object.fromEntries(params));
     }
   }, []);
 
@@ -203,11 +242,8 @@ function App() {
     const init = async () => {
       try {
         const savedSettings = getSettings();
-        // Force network to mainnet (testnet is disabled)
-        const settingsWithDefaults = {
-          ...savedSettings,
-          network: 'mainnet'
-        };
+        // Mainnet unless the background switched to another available network
+        const settingsWithDefaults = withActiveNetwork(savedSettings, await loadActiveNetwork());
         if (settingsWithDefaults.rpcUrl) {
           setRpcUrl(settingsWithDefaults.rpcUrl);
         }
@@ -233,6 +269,7 @@ function App() {
               const activeIdx = savedIndex >= 0 && savedIndex < loadedWallets.length ? savedIndex : 0;
               setActiveWalletIdx(activeIdx);
               await keyringService.setActiveWallet(loadedWallets[activeIdx].address);
+              await ocs01Manager.initializeSecure(restoredPwd);
 
               setView('dashboard');
               return;
@@ -254,6 +291,9 @@ function App() {
     init();
   }, [restoreActiveSession]);
 
+  // Encrypted per-account keys, rebuilt only when the wallets or the session key change
+  const sessionAccountsRef = useRef({ key: null, addresses: '', accounts: {} });
+
   // BACKGROUND SYNC: Sync unlocked wallet session to chrome.storage.session
   // Defined here (hoisted) so it can be used by heartbeat
   const syncSessionToBackground = useCallback(async () => {
@@ -263,32 +303,52 @@ function App() {
         const activePk = keyringService.getPrivateKey(wallet.address);
 
         if (activePk) {
+          // SECURITY: Zero-Trust, only ciphertext is stored; the key lives in memory
+          let encryptionKey = sessionKey;
+          if (!encryptionKey) {
+            encryptionKey = generateSessionKey();
+            setSessionKey(encryptionKey);
+          }
+
+          const addresses = wallets.map(w => w.address).join(',');
+          const cached = sessionAccountsRef.current;
+          if (cached.key !== encryptionKey || cached.addresses !== addresses) {
+            sessionAccountsRef.current = {
+              key: encryptionKey,
+              addresses,
+              accounts: await buildSessionAccounts(wallets, encryptionKey)
+            };
+          }
+          const { accounts } = sessionAccountsRef.current;
+
           const sessionData = {
             address: wallet.address,
             publicKey: wallet.publicKeyB64,
-            privateKey: activePk,
+            encryptedPrivateKey: accounts[wallet.address]?.encryptedPrivateKey
+              || await encryptSession(activePk, encryptionKey),
+            accounts,
             network: settings.network || 'mainnet',
             timestamp: Date.now()
           };
 
-          // Send active message to background
+          // Save to session storage
+          if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.session) {
+            await chrome.storage.session.set({
+              dapp_wallet_session: JSON.stringify(sessionData)
+            });
+          }
+
+          // Send the key to background memory (it reloads the session from storage)
           if (typeof chrome !== 'undefined' && chrome.runtime) {
             chrome.runtime.sendMessage({
               type: 'SYNC_SESSION',
-              session: sessionData
+              sessionKey: encryptionKey
             }, (response) => {
               // ignore errors
             });
           } else {
             console.warn('[App] chrome.runtime not available');
           }
-
-          // Save to session storage
-          if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.session) {
-            await chrome.storage.session.set({
-              dapp_wallet_session: JSON.stringify(sessionData)
-            });
-          }
         } else {
           // console.error('[App] Sync Failed: No private key found for', wallet.address);
         }
@@ -298,7 +358,7 @@ function App() {
     } else {
       // console.log('[App] Sync Skipped: Locked or no wallet');
     }
-  }, [isUnlocked, wallet, settings.network]);
+  }, [isUnlocked, wallet, wallets, settings.network, sessionKey]);
 
   // Session "Heartbeat" / Keep-Alive
   // As long as the extension UI is open and unlocked, we EXTEND the session.
@@ -799,8 +859,10 @@ function App() {
       }
     }
 
-    // Clear password from memory
+    // Clear password and session keys from memory
     setPassword('');
+    setSessionKey(null);
+    sessionAccountsRef.current = { key: null, addresses: '', accounts: {} };
     setIsUnlocked(false);
     setSessionExpiry(null);
 
@@ -880,6 +942,7 @@ function App() {
             publicKey: keyringService.getPublicKey(activeAddr),
             // privateKey: activePk, // REMOVED: Never store plaintext
             encryptedPrivateKey: encryptedPk, // ADDED: Ciphertext only
+            accounts: await buildSessionAccounts(loadedWallets, sessionEncryptionKey),
             network: settings?.network || 'mainnet',
             timestamp: Date.now()
           };
@@ -930,9 +993,9 @@ function App() {
         setView('dashboard'); // Changed from setCurrentView('home') to setView('dashboard')
       }
 
-      // Load saved settings - force mainnet (testnet disabled)
+      // Load saved settings on the active network (mainnet unless switched)
       const savedSettings = getSettings();
-      setSettingsState({ ...savedSettings, network: 'mainnet' });
+      setSettingsState(withActiveNetwork(savedSettings, await loadActiveNetwork()));
 
       // Log wallet unlock
       // Assuming logWalletUnlock is a defined function
@@ -1247,11 +1310,38 @@ function App() {
       setBalance(0);
       setTransactions(getTxHistory(newNetwork));
       // Data will auto-refresh from useEffect hooks in Dashboard
+
+      // Notify connected dApps (networkChanged event)
+      if (typeof chrome !== 'undefined' && chrome.runtime) {
+        chrome.runtime.sendMessage({
+          type: 'NETWORK_CHANGED',
+          data: { network: newNetwork }
+        }).catch(() => { /* ignore */ });
+      }
     }
 
     // Removed settings saved toast
   }, [settings]);
 
+  // Follow network switches approved for dApps while the popup is open
+  useEffect(() => {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.onMessage) return;
+
+    const onMessage = (message) => {
+      if (message?.type !== 'ACTIVE_NETWORK_CHANGED') return;
+      const network = findActiveNetwork(message.data?.networkId);
+      if (network.id === settings?.network) return;
+
+      setRpcUrl(network.rpcUrl);
+      setSettingsState(prev => withActiveNetwork(prev, network));
+      setBalance(0);
+      setTransactions(getTxHistory(network.id));
+    };
+
+    chrome.runtime.onMessage.addListener(onMessage);
+    return () => chrome.runtime.onMessage.removeListener(onMessage);
+  }, [settings?.network]);
+
   // Switch wallet
   const handleSwitchWallet = useCallback((index) => {
     setActiveWalletIdx(index);
@@ -1353,9 +1443,16 @@ function App() {
       {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
 
       {/* dApp Approval Mode */}
-      {dappApprovalId ? (
+      {phishingWarning ? (
+        <PhishingWarning {...phishingWarning} />
+      ) : dappApprovalId ? (
         isUnlocked ? (
-          <DappApprovalScreen approvalId={dappApprovalId} sessionKey={sessionKey} />
+          <DappApprovalScreen
+            approvalId={dappApprovalId}
+            sessionKey={sessionKey}
+            wallets={wallets}
+            activeAddress={wallet?.address}
+          />
         ) : (
           <LockScreen onUnlock={handleUnlock} onRecover={handleRecover} />
         )
@@ -1456,6 +1553,7 @@ function App() {
           {view === 'settings' && (
             <SettingsScreen
               wallet={wallet}
+              wallets={wallets}
               settings={settings}
               password={password}
               onUpdateSettings={handleUpdateSettings}
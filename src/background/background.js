@@ -4,14 +4,58 @@
  */
 
 import nacl from 'tweetnacl';
-import { getRpcClient } from '../utils/rpc';
+import { getRpcClient, setRpcUrl } from '../utils/rpc';
 import { backgroundSync } from '../services/BackgroundSyncService';
-import { decryptSession } from '../utils/crypto';
+import { keyringService } from '../services/KeyringService';
+import { privacyService } from '../services/PrivacyService';
+import { nonceManager } from '../services/NonceManager';
+import { OCS01Contract, KNOWN_CONTRACTS } from '../services/OCS01TokenService';
+import { isValidAddress } from '../utils/validation';
+import { DEFAULT_LARGE_TX_PERCENT } from '../utils/txPreview';
+import {
+    decryptSession,
+    base64ToBuffer,
+    createOctraAddress,
+    getEncryptionPublicKey,
+    encryptForPublicKey,
+    decryptEnvelope,
+    isValidEncryptionEnvelope
+} from '../utils/crypto';
+import { NETWORKS } from '../constants';
+import {
+    validateTypedData,
+    createTypedDataSigningMessage,
+    createSignInPayload,
+    parseSignInMessage
+} from '../utils/osm1';
+import {
+    DAPP_PERMISSIONS,
+    DEFAULT_PERMISSIONS,
+    isValidPermission,
+    normalizePermissions,
+    getConnectionPermissions,
+    hasPermission,
+    CONNECTION_DURATIONS,
+    CONNECTION_DURATION_INFO,
+    DEFAULT_CONNECTION_DURATION,
+    getConnectionExpiry,
+    isConnectionExpired,
+    getFrameContext
+} from '../utils/dappPermissions';
+import {
+    DEFAULT_PHISHING_LISTS,
+    checkOrigin,
+    isValidPhishingLists,
+    normalizeHostEntry
+} from '../utils/phishing';
+import { toProviderError, validateDappParams } from '../utils/providerRpc';
+import { buildTransaction, signTransaction } from '../utils/otx1';
 
 // console.log('[Background] Qiubit Service Worker starting...');
 
 // Background task: Update balances in storage periodically (Every 1 minute)
 chrome.alarms.create('bgBalanceSync', { periodInMinutes: 3 });
+chrome.alarms.create('phishingListUpdate', { periodInMinutes: 24 * 60 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === 'bgBalanceSync') {
@@ -21,6 +65,8 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
             // console.log('[Background] Auto-syncing for', wallet.address);
             await backgroundSync.syncAll(wallet.address, wallet.network || 'mainnet');
         }
+    } else if (alarm.name === 'phishingListUpdate') {
+        await refreshPhishingLists();
     }
 });
 
@@ -28,6 +74,16 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 const dappConnections = new Map();
 const pendingRequests = new Map();
 const dappApprovals = new Map(); // approvalId -> { type, params, origin, resolve, reject, wallet }
+let approvalWindowId = null; // Single popup window showing the approval queue
+let approvalWindowOpening = null; // Pending chrome.windows.create (avoids duplicate windows)
+
+// Approvals expire before the 5 minute request timeout in inpage.js,
+// so the page gets a proper rejection instead of a generic timeout
+const APPROVAL_TIMEOUT_MS = 4 * 60 * 1000;
+const APPROVALS_STORAGE_KEY = 'dapp_pending_approvals';
+const TX_PREVIEW_SETTINGS_KEY = 'dapp_tx_preview_settings'; // Large-transaction warning threshold
+
+const MAX_BATCH_TRANSACTIONS = 20;
 
 // Simple in-memory storage for dApp connections (resets on service worker restart);
 let requestCounter = 0;
@@ -35,6 +91,7 @@ let requestCounter = 0;
 // IN-MEMORY SESSION CACHE (Critical for reliable signing)
 let activeSessionCache = null;
 let memorySessionKey = null; // ZERO-TRUST KEY (Memory Only)
+let broadcastAddress = null; // Last account announced to dApps (null = locked)
 
 // IMMEDIATE INIT: Load session from storage on startup/wakeup
 (async function initSession() {
@@ -42,6 +99,7 @@ let memorySessionKey = null; // ZERO-TRUST KEY (Memory Only)
         const sessionData = await chrome.storage.session.get(['dapp_wallet_session']);
         if (sessionData && sessionData.dapp_wallet_session) {
             activeSessionCache = JSON.parse(sessionData.dapp_wallet_session);
+            broadcastAddress = activeSessionCache.address || null;
             // console.log('[Background] Restored encrypted session from storage');
         }
     } catch (e) {
@@ -49,6 +107,27 @@ let memorySessionKey = null; // ZERO-TRUST KEY (Memory Only)
     }
 })();
 
+// Approvals left over from a previous worker instance can no longer be answered:
+// their message channels died with it and the content script already failed the
+// request. Drop them and close the stale approval window.
+(async function cleanupStaleApprovals() {
+    try {
+        const data = await chrome.storage.session.get([APPROVALS_STORAGE_KEY]);
+        const stored = data[APPROVALS_STORAGE_KEY];
+        if (!stored) return;
+
+        if (stored.pending?.length > 0) {
+            console.warn('[Background] Dropping', stored.pending.length, 'approvals from a previous worker');
+        }
+        if (stored.windowId != null && stored.windowId !== approvalWindowId) {
+            chrome.windows.remove(stored.windowId).catch(() => { });
+        }
+        persistApprovals(); // Rewrite with what this worker actually holds
+    } catch (e) {
+        console.warn('[Background] Approval cleanup error:', e);
+    }
+})();
+
 // --- Message Handler ---
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // 1. Handle Content Script (dApp) Requests
@@ -73,8 +152,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             id,
             type: req.type,
             origin: req.origin,
+            address: req.wallet?.address || null,
             params: req.params,
-            timestamp: req.timestamp
+            timestamp: req.timestamp,
+            expiresAt: req.expiresAt
         }));
         sendResponse(requests);
         return false;
@@ -85,6 +166,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
+    if (message.type === 'REJECT_ALL_APPROVALS') {
+        sendResponse(handleRejectAllApprovals(message.data?.origin));
+        return false;
+    }
+
+    if (message.type === 'NETWORK_CHANGED') {
+        handleNetworkChanged(message.data?.network).then(sendResponse);
+        return true;
+    }
+
     if (message.type === 'GET_FEE_ESTIMATE') {
         getRpcClient().getFeeEstimate().then(fees => {
             sendResponse(fees);
@@ -99,12 +190,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'RESET_EVERYTHING') {
         console.warn('!!! EMERGENCY RESET TRIGGERED !!!');
         (async () => {
+            for (const origin of dappConnections.keys()) {
+                emitToOrigin(origin, 'disconnect', { code: 4900, message: 'Wallet was reset' });
+            }
             await chrome.storage.local.clear();
             await chrome.storage.session.clear();
             activeSessionCache = null;
             memorySessionKey = null;
             dappConnections.clear();
+            dappApprovals.forEach(approval => clearTimeout(approval.timer));
             dappApprovals.clear();
+            broadcastAddress = null;
             // console.log('!!! RESET COMPLETE !!!');
             sendResponse({ success: true });
         })();
@@ -128,6 +224,7 @@ async function handleSyncSession(data) {
         if (sessionData && sessionData.dapp_wallet_session) {
             activeSessionCache = JSON.parse(sessionData.dapp_wallet_session);
         }
+        await handleActiveAccountChanged(activeSessionCache?.address || null);
         return { success: true };
     }
 
@@ -136,6 +233,15 @@ async function handleSyncSession(data) {
         // console.log('[Background] Received SYNC_SESSION (Full)');
         activeSessionCache = data.session;
         // Don't save to storage here, App.jsx does it. Just update memory.
+        await handleActiveAccountChanged(data.session.address || null);
+        return { success: true };
+    }
+
+    // Explicit lock from popup (session: null)
+    if (data.session === null) {
+        activeSessionCache = null;
+        memorySessionKey = null;
+        await handleActiveAccountChanged(null);
         return { success: true };
     }
 
@@ -167,23 +273,415 @@ async function saveConnections() {
 }
 
 // Initialize
-loadConnections();
+const connectionsLoaded = loadConnections();
+
+// --- Phishing Protection ---
+
+const PHISHING_LISTS_KEY = 'phishing_lists';
+const USER_ORIGIN_LISTS_KEY = 'phishing_user_lists';
+const PHISHING_LIST_URL = import.meta.env.VITE_PHISHING_LIST_URL || '';
+
+let phishingLists = DEFAULT_PHISHING_LISTS;
+let userOriginLists = { allow: [], deny: [] }; // Hostnames managed in Settings
+const recentPhishingWarnings = new Set(); // Tab ids redirected in the last few seconds
+
+async function loadPhishingLists() {
+    try {
+        const data = await chrome.storage.local.get([PHISHING_LISTS_KEY, USER_ORIGIN_LISTS_KEY]);
+        const stored = data[PHISHING_LISTS_KEY];
+        if (isValidPhishingLists(stored) && stored.version > phishingLists.version) {
+            phishingLists = stored;
+        }
+        if (data[USER_ORIGIN_LISTS_KEY]) {
+            userOriginLists = { allow: [], deny: [], ...data[USER_ORIGIN_LISTS_KEY] };
+        }
+    } catch (error) {
+        console.error('[Background] Failed to load phishing lists:', error);
+    }
+}
+
+/**
+ * Replace the lists with the published copy when it is newer
+ */
+async function refreshPhishingLists() {
+    if (!PHISHING_LIST_URL) return;
+    try {
+        const resp = await fetch(PHISHING_LIST_URL, { cache: 'no-cache' });
+        if (!resp.ok) return;
+        const lists = await resp.json();
+        if (!isValidPhishingLists(lists) || lists.version <= phishingLists.version) return;
+
+        phishingLists = lists;
+        await chrome.storage.local.set({ [PHISHING_LISTS_KEY]: lists });
+    } catch (error) {
+        console.warn('[Background] Phishing list update failed:', error);
+    }
+}
+
+const phishingListsReady = loadPhishingLists().then(() => {
+    refreshPhishingLists();
+});
+
+/**
+ * Move a hostname to the user's allow or deny list (list = null removes it)
+ */
+async function handleSetOriginTrust(site, list) {
+    const hostname = normalizeHostEntry(site);
+    if (!hostname) return { error: 'Invalid site' };
+    if (list !== null && list !== 'allow' && list !== 'deny') return { error: 'Invalid list' };
+
+    await phishingListsReady;
+    userOriginLists = {
+        allow: userOriginLists.allow.filter(h => h !== hostname),
+        deny: userOriginLists.deny.filter(h => h !== hostname)
+    };
+    if (list) userOriginLists[list].push(hostname);
+
+    await chrome.storage.local.set({ [USER_ORIGIN_LISTS_KEY]: userOriginLists });
+    return { result: userOriginLists };
+}
+
+/**
+ * Redirect the requesting tab to the full-page phishing warning
+ */
+function showPhishingWarning(origin, verdict, sender) {
+    const tabId = sender?.tab?.id;
+    if (tabId === undefined || recentPhishingWarnings.has(tabId)) return;
+
+    // Requests already in flight from the page arrive after the redirect
+    recentPhishingWarnings.add(tabId);
+    setTimeout(() => recentPhishingWarnings.delete(tabId), 5000);
+
+    const query = new URLSearchParams({
+        origin,
+        reason: verdict.reason,
+        match: verdict.match || '',
+        href: sender.tab.url || sender.url || origin
+    });
+    chrome.tabs.update(tabId, { url: chrome.runtime.getURL('index.html#/phishing?' + query) }).catch(() => { });
+}
+
+// --- Site Activity ---
+
+const ACTIVITY_STORAGE_KEY = 'dapp_activity';
+const MAX_ACTIVITY_PER_ORIGIN = 50;
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 1000;
+
+let activityWrite = Promise.resolve(); // Serializes read-modify-write of the activity log
+
+/**
+ * Append a request to the origin's activity history (newest first)
+ */
+function recordDappActivity(origin, method, response) {
+    const code = response?.error?.code;
+    const entry = {
+        method,
+        timestamp: Date.now(),
+        status: !response?.error ? 'success' : code === 4001 ? 'rejected' : 'failed'
+    };
+
+    activityWrite = activityWrite.then(async () => {
+        const data = await chrome.storage.local.get(ACTIVITY_STORAGE_KEY);
+        const activity = data[ACTIVITY_STORAGE_KEY] || {};
+        activity[origin] = [entry, ...(activity[origin] || [])].slice(0, MAX_ACTIVITY_PER_ORIGIN);
+        await chrome.storage.local.set({ [ACTIVITY_STORAGE_KEY]: activity });
+    }).catch(error => console.warn('[Background] Failed to record activity:', error));
+}
+
+/**
+ * Drop the activity history of origins that are no longer connected
+ */
+function clearDappActivity(origins) {
+    activityWrite = activityWrite.then(async () => {
+        const data = await chrome.storage.local.get(ACTIVITY_STORAGE_KEY);
+        const activity = data[ACTIVITY_STORAGE_KEY] || {};
+        origins.forEach(origin => delete activity[origin]);
+        await chrome.storage.local.set({ [ACTIVITY_STORAGE_KEY]: activity });
+    }).catch(error => console.warn('[Background] Failed to clear activity:', error));
+}
+
+/**
+ * Update the last-used time (persisted at most once a minute per origin)
+ */
+function touchConnection(origin) {
+    const connection = dappConnections.get(origin);
+    if (!connection?.connected) return;
+
+    const now = Date.now();
+    const lastSaved = connection.lastUsedAt || 0;
+    connection.lastUsedAt = now;
+    if (now - lastSaved > LAST_USED_SAVE_INTERVAL_MS) saveConnections();
+}
+
+/**
+ * Disconnect origins on the wallet side and notify their pages
+ */
+async function handleDisconnectOrigins(origins, reason = 'Disconnected by the wallet') {
+    for (const origin of origins) {
+        dappConnections.delete(origin);
+        emitToOrigin(origin, 'disconnect', { code: 4900, message: reason });
+    }
+    await saveConnections();
+    clearDappActivity(origins);
+    return { result: true };
+}
+
+// --- Connection Expiry ---
+
+const CONNECTION_SETTINGS_KEY = 'dapp_connection_settings';
+const DEFAULT_CONNECTION_SETTINGS = { reapproveAfterLock: false, blockCrossOriginFrames: false };
+
+async function getConnectionSettings() {
+    const data = await chrome.storage.local.get(CONNECTION_SETTINGS_KEY);
+    return { ...DEFAULT_CONNECTION_SETTINGS, ...data[CONNECTION_SETTINGS_KEY] };
+}
+
+/**
+ * Drop an origin's connection once its duration has passed
+ */
+async function expireConnection(origin) {
+    const connection = dappConnections.get(origin);
+    if (connection?.connected && isConnectionExpired(connection)) {
+        await handleDisconnectOrigins([origin], 'Connection expired');
+    }
+}
+
+/**
+ * End session-only connections (or all of them, if the user asked to
+ * re-approve sites after every lock)
+ */
+async function expireConnectionsOnLock() {
+    const reapproveAll = Boolean((await getConnectionSettings()).reapproveAfterLock);
+
+    const origins = Array.from(dappConnections.entries())
+        .filter(([, info]) => info.connected && (reapproveAll || info.duration === CONNECTION_DURATIONS.SESSION))
+        .map(([origin]) => origin);
+    if (origins.length > 0) await handleDisconnectOrigins(origins, 'Wallet locked');
+}
+
+// A browser restart starts locked, so session connections end here too
+chrome.runtime.onStartup.addListener(async () => {
+    await connectionsLoaded;
+    await expireConnectionsOnLock();
+});
+
+// --- dApp Events ---
+
+/**
+ * Emit a provider event to every tab of an origin.
+ * Sent to all tabs; the content script drops events addressed to another origin.
+ */
+async function emitToOrigin(origin, event, data) {
+    try {
+        const tabs = await chrome.tabs.query({});
+        for (const tab of tabs) {
+            chrome.tabs.sendMessage(tab.id, { type: 'OCTRA_EVENT', origin, event, data }).catch(() => { });
+        }
+    } catch (error) {
+        console.warn('[Background] Failed to emit event:', event, error);
+    }
+}
+
+/**
+ * Announce account switches and lock/unlock to connected dApps.
+ * A locked wallet is announced as an empty account list; a switch only
+ * reaches origins that were granted the newly active account.
+ */
+async function handleActiveAccountChanged(address) {
+    if (address === broadcastAddress) return;
+    const wasLocked = !broadcastAddress;
+    broadcastAddress = address;
+
+    if (!address && !wasLocked) await expireConnectionsOnLock();
+
+    let changed = false;
+    for (const [origin, connection] of dappConnections) {
+        if (!connection.connected) continue;
+
+        if (!address) {
+            emitToOrigin(origin, 'accountsChanged', []);
+            continue;
+        }
+
+        const bound = getConnectionAccounts(connection);
+        if (bound.includes(address) && connection.address !== address) {
+            connection.address = address;
+            changed = true;
+            emitToOrigin(origin, 'accountsChanged', getConnectionAccounts(connection));
+        } else if (wasLocked) {
+            emitToOrigin(origin, 'accountsChanged', bound);
+        }
+    }
+
+    if (changed) await saveConnections();
+}
+
+/**
+ * Change the accounts exposed to an origin (Connected sites screen)
+ */
+async function handleSetConnectionAccounts(origin, accounts) {
+    const connection = dappConnections.get(origin);
+    if (!connection || !connection.connected) {
+        return { error: 'Origin not connected' };
+    }
+
+    const known = getSessionAccounts();
+    const valid = Array.isArray(accounts) ? accounts.filter(a => known.includes(a)) : [];
+    if (valid.length === 0) {
+        return { error: 'Select at least one account' };
+    }
+
+    connection.accounts = valid;
+    if (!valid.includes(connection.address)) {
+        connection.address = valid[0];
+    }
+    await saveConnections();
+
+    emitToOrigin(origin, 'accountsChanged', getConnectionAccounts(connection));
+    return { result: getConnectionAccounts(connection) };
+}
+
+// --- Active Network ---
+
+const ACTIVE_NETWORK_KEY = 'active_network';
+
+/**
+ * Find a network by id or chain id. Networks without an RPC endpoint are not available.
+ */
+function findNetwork({ networkId, chainId }) {
+    return Object.values(NETWORKS).find(n =>
+        (networkId !== undefined ? n.id === networkId : String(n.chainId) === String(chainId))
+    ) || null;
+}
+
+/**
+ * Network the wallet (and every connected dApp) is on
+ */
+async function getActiveNetwork() {
+    const data = await chrome.storage.local.get(ACTIVE_NETWORK_KEY);
+    const network = findNetwork({ networkId: data[ACTIVE_NETWORK_KEY] });
+    return network?.rpcUrl ? network : NETWORKS.MAINNET;
+}
+
+// The background RPC client follows the active network
+getActiveNetwork().then(network => setRpcUrl(network.rpcUrl)).catch(() => { });
+
+/**
+ * Switch the active network and tell connected dApps
+ * (from the popup NetworkSwitcher or an approved dApp request)
+ */
+async function handleNetworkChanged(networkId) {
+    const network = findNetwork({ networkId });
+    if (!network) return { success: false, error: 'Unknown network' };
+    if (!network.rpcUrl) return { success: false, error: `${network.name} is not available` };
+
+    await chrome.storage.local.set({ [ACTIVE_NETWORK_KEY]: network.id });
+    setRpcUrl(network.rpcUrl);
+    // Open popups follow switches approved for dApps
+    chrome.runtime.sendMessage({ type: 'ACTIVE_NETWORK_CHANGED', data: { networkId: network.id } }).catch(() => { });
+
+    for (const [origin, connection] of dappConnections) {
+        if (!connection.connected || connection.networkId === network.id) continue;
+
+        connection.networkId = network.id;
+        connection.chainId = network.chainId;
+        emitToOrigin(origin, 'networkChanged', { networkId: network.id, chainId: network.chainId });
+    }
+
+    await saveConnections();
+    return { success: true };
+}
+
+/**
+ * Frame chain of a request. The content script reports its ancestors; the top
+ * origin is taken from the tab itself when the browser provides it.
+ */
+function getRequestFrame(message, sender) {
+    if (sender?.frameId === 0) return getFrameContext(message.origin);
+
+    const ancestors = Array.isArray(message.frame?.ancestors) ? [...message.frame.ancestors] : [];
+    let tabOrigin = null;
+    try {
+        tabOrigin = sender?.tab?.url ? new URL(sender.tab.url).origin : null;
+    } catch {
+        tabOrigin = null;
+    }
+    if (tabOrigin && ancestors[ancestors.length - 1] !== tabOrigin) ancestors.push(tabOrigin);
+    return getFrameContext(message.origin, ancestors);
+}
 
 /**
  * Handle dApp requests
  */
 async function handleDappRequest(message, sender) {
-    const { id, method, params, origin, title, favicon } = message;
+    const { method, params, origin, title, favicon } = message;
+    const frame = getRequestFrame(message, sender);
 
     // console.log('[Background] dApp request:', method, 'from', origin);
 
+    if (dappConnections.get(origin)?.blocked) {
+        return { error: { code: 4100, message: 'This site has been blocked by the user' } };
+    }
+
+    // Flagged origins never reach a handler, so no approval can open for them
+    await phishingListsReady;
+    const verdict = checkOrigin(origin, phishingLists, userOriginLists);
+    if (verdict.blocked) {
+        showPhishingWarning(origin, verdict, sender);
+        return { error: { code: 4100, message: 'This site is blocked as a suspected phishing site' } };
+    }
+
+    if (frame.crossOrigin && (await getConnectionSettings()).blockCrossOriginFrames) {
+        return { error: { code: 4100, message: 'Requests from embedded cross-origin frames are disabled' } };
+    }
+
+    if (!takeRateSlot(requestHistory, origin, REQUEST_LIMIT)) {
+        return { error: { code: -32005, message: 'Request rate limit exceeded' } };
+    }
+
+    // Malformed params never reach a handler, so no approval window opens for them
+    const invalid = validateDappParams(method, params);
+    if (invalid) return { error: invalid };
+
+    await expireConnection(origin);
+    let response;
+    try {
+        response = await routeDappRequest(method, params, origin, title, favicon, frame);
+    } catch (err) {
+        console.error('[Background] dApp request failed:', method, err);
+        response = { error: err };
+    }
+    // Handlers may still return plain strings; dApps always get {code, message}
+    if (response?.error) response = { error: toProviderError(response.error) };
+
+    // Only connected sites are tracked (any page can send requests)
+    if (dappConnections.get(origin)?.connected) {
+        touchConnection(origin);
+        recordDappActivity(origin, method, response);
+    }
+    return response;
+}
+
+/**
+ * Dispatch a dApp request to its handler
+ */
+async function routeDappRequest(method, params, origin, title, favicon, frame) {
     switch (method) {
         case 'connect':
-            return handleConnect(origin, title, favicon, params);
+            return handleConnect(origin, title, favicon, params, frame);
 
         case 'disconnect':
             return handleDisconnect(origin);
 
+        case 'requestPermissions':
+            return handleRequestPermissions(origin, title, favicon, params, frame);
+
+        case 'getPermissions':
+            return handleGetPermissions(origin);
+
+        case 'revokePermissions':
+            return handleRevokePermissions(origin, params);
+
         case 'getAccounts':
             return handleGetAccounts(origin);
 
@@ -191,35 +689,145 @@ async function handleDappRequest(message, sender) {
             return handleGetPublicKey(origin);
 
         case 'getBalance':
-            return handleGetBalance(params);
+            return handleGetBalance(origin, params);
 
         case 'signMessage':
             return handleSignMessage(origin, params);
 
+        case 'signIn':
+            return handleSignIn(origin, params);
+
+        case 'signTypedData':
+            return handleSignTypedData(origin, params);
+
         case 'signTransaction':
             return handleSignTransaction(origin, params);
 
         case 'sendTransaction':
             return handleSendTransaction(origin, params);
 
+        case 'signAllTransactions':
+            return handleBatchTransactions(origin, params, 'signAllTransactions');
+
+        case 'sendTransactions':
+            return handleBatchTransactions(origin, params, 'sendTransactions');
+
         case 'getEncryptedBalance':
             return handleGetEncryptedBalance(origin);
 
+        case 'callView':
+            return handleCallView(origin, params);
+
+        case 'callContract':
+            return handleCallContract(origin, params);
+
+        case 'shield':
+        case 'unshield':
+        case 'privateTransfer':
+            return handlePrivacyOperation(origin, params, method);
+
+        case 'getPendingPrivateTransfers':
+            return handleGetPendingPrivateTransfers(origin);
+
+        case 'watchAsset':
+            return handleWatchAsset(origin, params);
+
+        case 'getEncryptionPublicKey':
+            return handleGetEncryptionPublicKey(origin);
+
+        case 'getNetwork':
+            return handleGetNetwork();
+
+        case 'switchNetwork':
+            return handleSwitchNetwork(origin, params);
+
+        case 'encrypt':
+            return handleEncrypt(origin, params);
+
+        case 'decrypt':
+            return handleDecrypt(origin, params);
+
         default:
             return { error: { code: 4200, message: `Unknown method: ${method}` } };
     }
 }
 
 /**
- * Handle get encrypted balance
+ * Handle get network (no connection needed, like chainId)
  */
-async function handleGetEncryptedBalance(origin) {
+async function handleGetNetwork() {
+    const network = await getActiveNetwork();
+    return { result: { networkId: network.id, chainId: network.chainId, name: network.name } };
+}
+
+/**
+ * Handle a dApp asking the wallet to switch networks
+ */
+async function handleSwitchNetwork(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.VIEW_ADDRESS);
+    if (denied) return { error: denied };
+
+    const target = findNetwork(params);
+    if (!target) {
+        return { error: { code: 4901, message: 'Unknown network' } };
+    }
+    if (!target.rpcUrl) {
+        return { error: { code: 4901, message: `${target.name} is not available` } };
+    }
+
+    const current = await getActiveNetwork();
+    const result = { networkId: target.id, chainId: target.chainId, name: target.name };
+    if (current.id === target.id) return { result };
+
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+    try {
+        await requestApproval(origin, 'switchNetwork', {
+            from: { networkId: current.id, name: current.name },
+            to: result
+        }, wallet);
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected network switch' } };
+    }
+
+    const switched = await handleNetworkChanged(target.id);
+    if (!switched.success) return { error: { code: 4901, message: switched.error } };
+    return { result };
+}
+
+/**
+ * Check that an origin is connected and holds a permission.
+ * Returns an error object, or null when allowed.
+ */
+function checkPermission(origin, permission) {
     const connection = dappConnections.get(origin);
     if (!connection || !connection.connected) {
-        return { error: { code: 4100, message: 'Not connected' } };
+        return { code: 4100, message: 'Not connected' };
+    }
+    if (!hasPermission(connection, permission)) {
+        return { code: 4100, message: `Permission not granted: ${permission}` };
     }
+    return null;
+}
+
+/**
+ * Check that transactions are sent from the account bound to the origin.
+ * A dApp may omit from, but cannot name another account.
+ * Returns an error object, or null when allowed.
+ */
+function checkTransactionSender(origin, transactions) {
+    const { address } = dappConnections.get(origin);
+    const foreign = transactions.find(tx => tx?.from != null && tx.from !== address);
+    return foreign ? { code: 4100, message: 'from must be the connected account' } : null;
+}
+
+/**
+ * Handle get encrypted balance
+ */
+async function handleGetEncryptedBalance(origin) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.VIEW_ENCRYPTED_BALANCE);
+    if (denied) return { error: denied };
 
-    const wallet = await getWalletFromStorage();
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
     if (!wallet || (!wallet.privateKey && !wallet.privateKeyB64)) {
         return { error: 'Wallet locked. Please unlock the extension.' };
     }
@@ -231,58 +839,274 @@ async function handleGetEncryptedBalance(origin) {
         const data = await client.getEncryptedBalance(wallet.address, pk);
         return { result: data };
     } catch (err) {
-        return { error: { code: 5000, message: err.message || 'Failed to fetch encrypted balance' } };
+        return { error: { code: -32603, message: err.message || 'Failed to fetch encrypted balance' } };
     }
 }
 
-// --- Helper: Request Approval from UI ---
-async function requestApproval(origin, type, params, wallet) {
-    const approvalId = crypto.randomUUID();
+// --- Spam Protection ---
 
-    return new Promise((resolve, reject) => {
-        // 1. Store Request
-        dappApprovals.set(approvalId, {
-            type,
-            origin,
-            params,
-            wallet, // Pass wallet context if needed
-            timestamp: Date.now(),
-            resolve,
-            reject
-        });
+// Per-origin limits: any request, and approvals (each one surfaces in the approval window)
+const REQUEST_LIMIT = { max: 60, windowMs: 10 * 1000 };
+const APPROVAL_LIMIT = { max: 10, windowMs: 60 * 1000 };
+const MAX_QUEUED_APPROVALS_PER_ORIGIN = 5;
 
-        // 2. Open Popup
-        chrome.windows.create({
-            url: 'index.html#/dapp/approve?id=' + approvalId,
-            type: 'popup',
-            width: 360,
-            height: 600
-        });
-    });
+// Consecutive rejections before a cool-down; the cool-down doubles with each further rejection
+const REJECTION_THRESHOLD = 3;
+const REJECTION_COOLDOWN_MS = 30 * 1000;
+const MAX_REJECTION_COOLDOWN_MS = 10 * 60 * 1000;
+
+const requestHistory = new Map(); // origin -> recent request timestamps
+const approvalHistory = new Map(); // origin -> recent approval timestamps
+const rejectionState = new Map(); // origin -> { count, cooldownUntil }
+const inFlightApprovals = new Map(); // origin + type + params -> pending approval promise
+
+/**
+ * Record a request in a sliding window; false when the origin is over the limit
+ */
+function takeRateSlot(history, origin, { max, windowMs }) {
+    const now = Date.now();
+    const recent = (history.get(origin) || []).filter(t => now - t < windowMs);
+    const allowed = recent.length < max;
+    if (allowed) recent.push(now);
+    history.set(origin, recent);
+    return allowed;
 }
 
 /**
- * Handle connect request
+ * Check that an origin may queue another approval.
+ * Returns an error object, or null when allowed.
  */
-async function handleConnect(origin, title, favicon, params) {
-    // Check if already connected
-    const existing = dappConnections.get(origin);
-    if (existing && existing.connected) {
-        return {
-            result: {
-                accounts: [existing.address],
-                selectedAddress: existing.address,
-                networkId: existing.networkId || 'testnet',
-                chainId: existing.chainId || 2
-            }
-        };
+function checkApprovalLimits(origin) {
+    const cooldownUntil = rejectionState.get(origin)?.cooldownUntil || 0;
+    if (cooldownUntil > Date.now()) {
+        const seconds = Math.ceil((cooldownUntil - Date.now()) / 1000);
+        return { code: -32005, message: `Too many rejected requests. Try again in ${seconds}s` };
     }
 
-    // 0. Get Wallet (with Private Key)
-    let wallet = await getWalletFromStorage();
+    const queued = Array.from(dappApprovals.values()).filter(a => a.origin === origin).length;
+    if (queued >= MAX_QUEUED_APPROVALS_PER_ORIGIN) {
+        return { code: -32005, message: 'Too many pending requests from this site' };
+    }
+    if (!takeRateSlot(approvalHistory, origin, APPROVAL_LIMIT)) {
+        return { code: -32005, message: 'Request rate limit exceeded' };
+    }
+    return null;
+}
 
-    // If wallet is locked (no private key) OR null (maybe first load), we MUST open popup to unlock/login
-    // We create a dummy wallet object if null, just to pass to requestApproval so it opens
+/**
+ * Track user decisions; repeated rejections start a cool-down for the origin
+ */
+function recordApprovalDecision(origin, approved) {
+    if (approved) {
+        rejectionState.delete(origin);
+        return;
+    }
+
+    const state = rejectionState.get(origin) || { count: 0, cooldownUntil: 0 };
+    state.count++;
+    if (state.count >= REJECTION_THRESHOLD) {
+        const duration = REJECTION_COOLDOWN_MS * 2 ** (state.count - REJECTION_THRESHOLD);
+        state.cooldownUntil = Date.now() + Math.min(duration, MAX_REJECTION_COOLDOWN_MS);
+    }
+    rejectionState.set(origin, state);
+}
+
+/**
+ * Block an origin from the approval window: stored as a denied connection entry
+ */
+async function handleBlockOrigin(origin) {
+    if (!origin) return { error: 'Origin required' };
+
+    const existing = dappConnections.get(origin);
+    dappConnections.set(origin, {
+        connected: false,
+        blocked: true,
+        blockedAt: Date.now(),
+        title: existing?.title,
+        favicon: existing?.favicon
+    });
+    await saveConnections();
+
+    handleRejectAllApprovals(origin, 'Site blocked by the user');
+    if (existing?.connected) {
+        emitToOrigin(origin, 'disconnect', { code: 4900, message: 'Disconnected by the wallet' });
+    }
+    return { result: true };
+}
+
+// --- Helper: Request Approval from UI ---
+async function requestApproval(origin, type, params, wallet) {
+    // An identical request is already waiting: share its outcome instead of queueing a copy
+    const dedupeKey = JSON.stringify([origin, type, wallet?.address || null, params]);
+    if (inFlightApprovals.has(dedupeKey)) return inFlightApprovals.get(dedupeKey);
+
+    const limited = checkApprovalLimits(origin);
+    if (limited) throw limited;
+
+    const approvalId = crypto.randomUUID();
+
+    const promise = new Promise((resolve, reject) => {
+        const timestamp = Date.now();
+
+        // 1. Store Request
+        dappApprovals.set(approvalId, {
+            type,
+            origin,
+            params,
+            wallet, // Pass wallet context if needed
+            timestamp,
+            expiresAt: timestamp + APPROVAL_TIMEOUT_MS,
+            timer: setTimeout(() => {
+                takeApproval(approvalId)?.reject({ code: 4001, message: 'Approval request expired' });
+            }, APPROVAL_TIMEOUT_MS),
+            resolve,
+            reject
+        });
+        persistApprovals();
+
+        // 2. Show in the approval window (queued if already open)
+        showApprovalWindow(approvalId);
+    });
+
+    inFlightApprovals.set(dedupeKey, promise);
+    promise.finally(() => inFlightApprovals.delete(dedupeKey)).catch(() => { });
+    return promise;
+}
+
+/**
+ * Remove a pending approval so it can be settled exactly once
+ */
+function takeApproval(id) {
+    const approval = dappApprovals.get(id);
+    if (!approval) return null;
+
+    dappApprovals.delete(id);
+    clearTimeout(approval.timer);
+    persistApprovals();
+    notifyApprovalsUpdated();
+    return approval;
+}
+
+/**
+ * Mirror pending approval metadata to session storage.
+ * Resolvers and wallet keys stay in memory only.
+ */
+function persistApprovals() {
+    const pending = Array.from(dappApprovals.entries()).map(([id, req]) => ({
+        id,
+        type: req.type,
+        origin: req.origin,
+        address: req.wallet?.address || null,
+        timestamp: req.timestamp,
+        expiresAt: req.expiresAt
+    }));
+
+    chrome.storage.session.set({
+        [APPROVALS_STORAGE_KEY]: { pending, windowId: approvalWindowId }
+    }).catch((e) => console.warn('[Background] Failed to persist approvals:', e));
+}
+
+/**
+ * Open the approval window, or focus it and push the new request
+ * into its queue if it is already open
+ */
+async function showApprovalWindow(approvalId) {
+    if (approvalWindowOpening) await approvalWindowOpening;
+
+    if (approvalWindowId !== null) {
+        try {
+            await chrome.windows.update(approvalWindowId, { focused: true });
+            notifyApprovalsUpdated();
+            return;
+        } catch {
+            approvalWindowId = null; // Closed without us noticing
+        }
+    }
+
+    approvalWindowOpening = chrome.windows.create({
+        url: 'index.html#/dapp/approve?id=' + approvalId,
+        type: 'popup',
+        width: 360,
+        height: 600
+    }).then((win) => {
+        approvalWindowId = win.id;
+        persistApprovals();
+    }).catch((err) => {
+        console.error('[Background] Failed to open approval window:', err);
+        takeApproval(approvalId)?.reject({ code: -32603, message: 'Failed to open approval window' });
+    }).finally(() => {
+        approvalWindowOpening = null;
+    });
+
+    await approvalWindowOpening;
+}
+
+/**
+ * Tell the approval window that the queue changed
+ */
+function notifyApprovalsUpdated() {
+    chrome.runtime.sendMessage({ type: 'APPROVALS_UPDATED' }).catch(() => { });
+}
+
+/**
+ * Reject every pending approval (optionally only those of one origin)
+ */
+function handleRejectAllApprovals(origin = null, message = 'User rejected request') {
+    let count = 0;
+    for (const [id, approval] of dappApprovals) {
+        if (origin && approval.origin !== origin) continue;
+        takeApproval(id).reject({ code: 4001, message });
+        count++;
+    }
+    return { success: true, rejected: count };
+}
+
+// Closing the approval window (X button) rejects whatever is still queued
+chrome.windows.onRemoved.addListener((windowId) => {
+    if (windowId === approvalWindowId) {
+        approvalWindowId = null;
+        handleRejectAllApprovals(null, 'Approval window closed');
+        persistApprovals();
+    }
+});
+
+/**
+ * Page that embeds a cross-origin frame, shown to the user on approval
+ */
+function getEmbedding(frame) {
+    return frame?.crossOrigin ? { embeddedIn: frame.topOrigin, frameChain: frame.ancestors } : {};
+}
+
+/**
+ * Handle connect request
+ */
+async function handleConnect(origin, title, favicon, params, frame = getFrameContext(origin)) {
+    const network = await getActiveNetwork();
+
+    // Check if already connected
+    const existing = dappConnections.get(origin);
+    if (existing && existing.connected) {
+        return {
+            result: {
+                accounts: getConnectionAccounts(existing),
+                selectedAddress: existing.address,
+                networkId: existing.networkId || network.id,
+                chainId: existing.chainId || network.chainId,
+                permissions: getConnectionPermissions(existing)
+            }
+        };
+    }
+
+    // Permissions asked for by the dApp (pre-selected on the approval screen)
+    const requested = Array.isArray(params?.permissions)
+        ? normalizePermissions(params.permissions.filter(isValidPermission))
+        : DEFAULT_PERMISSIONS;
+
+    // 0. Get Wallet (with Private Key)
+    let wallet = await getWalletFromStorage();
+
+    // If wallet is locked (no private key) OR null (maybe first load), we MUST open popup to unlock/login
+    // We create a dummy wallet object if null, just to pass to requestApproval so it opens
     const isLocked = !wallet || (!wallet.privateKey && !wallet.privateKeyB64);
 
     if (isLocked) {
@@ -290,9 +1114,10 @@ async function handleConnect(origin, title, favicon, params) {
     }
 
     // Request User Approval (Will trigger unlock UI if needed)
+    let approval;
     try {
         // Pass current wallet state (even if null/locked) - the UI checks this
-        await requestApproval(origin, 'connect', { title, favicon }, wallet);
+        approval = await requestApproval(origin, 'connect', { title, favicon, permissions: requested, ...getEmbedding(frame) }, wallet);
     } catch (err) {
         console.warn('[Background] Connection request failed:', err);
         // Return the actual error if available, otherwise fallback to rejected
@@ -313,15 +1138,36 @@ async function handleConnect(origin, title, favicon, params) {
         return { error: 'Wallet still locked' };
     }
 
+    // Only keep permissions the user left checked
+    const granted = normalizePermissions(
+        (approval?.result?.permissions || requested).filter(isValidPermission)
+    );
+
+    // Accounts the user chose to expose (must belong to this session)
+    const known = getSessionAccounts();
+    const chosen = Array.isArray(approval?.result?.accounts)
+        ? approval.result.accounts.filter(a => known.includes(a))
+        : [];
+    const accounts = chosen.length > 0 ? chosen : [wallet.address];
+
+    const duration = CONNECTION_DURATION_INFO[approval?.result?.duration]
+        ? approval.result.duration
+        : DEFAULT_CONNECTION_DURATION;
+
     const connection = {
         origin,
         title,
         favicon,
-        address: wallet.address,
+        address: accounts[0],
+        accounts,
         connected: true,
         connectedAt: Date.now(),
-        networkId: 'mainnet',
-        chainId: 2
+        duration,
+        expiresAt: getConnectionExpiry(duration),
+        networkId: network.id,
+        chainId: network.chainId,
+        permissions: granted,
+        ...getEmbedding(frame)
     };
 
     dappConnections.set(origin, connection);
@@ -329,229 +1175,801 @@ async function handleConnect(origin, title, favicon, params) {
 
     // console.log('[Background] Connected:', origin);
 
+    const boundWallet = await getWalletFromStorage(connection.address);
+
     return {
         result: {
-            accounts: [wallet.address],
-            selectedAddress: wallet.address,
-            publicKey: wallet.publicKeyB64,
+            accounts: getConnectionAccounts(connection),
+            selectedAddress: connection.address,
+            publicKey: boundWallet?.publicKeyB64,
             networkId: connection.networkId,
             chainId: connection.chainId,
-            permissions: ['sign', 'balance']
+            permissions: granted
         }
     };
 }
 
+/**
+ * Handle request permissions
+ * Connects first if needed, otherwise asks only for permissions not yet granted.
+ */
+async function handleRequestPermissions(origin, title, favicon, params, frame = getFrameContext(origin)) {
+    const requested = Array.isArray(params?.permissions) ? params.permissions.filter(isValidPermission) : [];
+    if (requested.length === 0) {
+        return { error: { code: -32602, message: 'No valid permissions requested' } };
+    }
+
+    const connection = dappConnections.get(origin);
+    if (!connection || !connection.connected) {
+        const connected = await handleConnect(origin, title, favicon, { permissions: requested }, frame);
+        if (connected.error) return connected;
+        return { result: connected.result.permissions };
+    }
+
+    const granted = getConnectionPermissions(connection);
+    const missing = requested.filter(p => !granted.includes(p));
+    if (missing.length === 0) {
+        return { result: granted };
+    }
+
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+
+    let approval;
+    try {
+        approval = await requestApproval(origin, 'requestPermissions', { title, favicon, permissions: missing, ...getEmbedding(frame) }, wallet);
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected permission request' } };
+    }
+
+    const approved = (approval?.result?.permissions || missing).filter(p => missing.includes(p));
+    connection.permissions = normalizePermissions([...granted, ...approved]);
+    await saveConnections();
+
+    return { result: connection.permissions };
+}
+
+/**
+ * Handle get permissions
+ */
+async function handleGetPermissions(origin) {
+    return { result: getConnectionPermissions(dappConnections.get(origin)) };
+}
+
+/**
+ * Handle revoke permissions
+ * Revoking a required permission (address access) disconnects the site.
+ */
+async function handleRevokePermissions(origin, params) {
+    const connection = dappConnections.get(origin);
+    if (!connection || !connection.connected) {
+        return { result: [] };
+    }
+
+    const revoked = Array.isArray(params?.permissions) ? params.permissions.filter(isValidPermission) : [];
+    const remaining = getConnectionPermissions(connection).filter(p => !revoked.includes(p));
+
+    if (revoked.includes(DAPP_PERMISSIONS.VIEW_ADDRESS)) {
+        await handleDisconnectOrigins([origin], 'Address access revoked');
+        return { result: [] };
+    }
+
+    connection.permissions = remaining;
+    await saveConnections();
+    return { result: remaining };
+}
+
 /**
  * Handle disconnect request
+ * The site's other open tabs are told too, as when the wallet disconnects it.
  */
 async function handleDisconnect(origin) {
-    dappConnections.delete(origin);
-    await saveConnections();
-    // console.log('[Background] Disconnected:', origin);
-    return { result: true };
+    return handleDisconnectOrigins([origin], 'Disconnected by the site');
 }
 
 /**
  * Handle get accounts
  */
 async function handleGetAccounts(origin) {
-    const connection = dappConnections.get(origin);
-    if (!connection || !connection.connected) {
+    if (checkPermission(origin, DAPP_PERMISSIONS.VIEW_ADDRESS)) {
         return { result: [] };
     }
-    return { result: [connection.address] };
+    return { result: getConnectionAccounts(dappConnections.get(origin)) };
+}
+
+/**
+ * Handle get public key
+ */
+async function handleGetPublicKey(origin) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.VIEW_ADDRESS);
+    if (denied) return { error: denied };
+
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+    if (!wallet) {
+        return { error: { code: 4100, message: 'Wallet not found' } };
+    }
+
+    return { result: wallet.publicKeyB64 };
+}
+
+/**
+ * Handle get balance
+ */
+async function handleGetBalance(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.VIEW_BALANCE);
+    if (denied) return { error: denied };
+
+    const address = params?.address || dappConnections.get(origin).address;
+    const balancesKey = 'balances';
+
+    // 1. Try to fetch fresh balance from RPC
+    try {
+        const { rpcUrl } = await getActiveNetwork();
+        const baseUrl = rpcUrl.replace(/\/+$/, '');
+
+        // console.log('[Background] Fetching balance for', address);
+        const response = await fetch(`${baseUrl}/balance/${address}`);
+
+        if (response.ok) {
+            const json = await response.json();
+            const rawBalance = json.balance_raw || (json.balance ? (parseFloat(json.balance) * 1000000).toString() : '0');
+            const nonce = json.nonce || 0;
+
+            // Update Cache
+            const data = await chrome.storage.local.get(balancesKey);
+            const balances = data.balances || {};
+            balances[address] = rawBalance;
+            await chrome.storage.local.set({ [balancesKey]: balances });
+
+            return {
+                result: {
+                    address,
+                    balance: rawBalance,
+                    formatted: json.balance ? parseFloat(json.balance).toFixed(6) : (parseFloat(rawBalance) / 1000000).toFixed(6),
+                    nonce: nonce,
+                    _source: 'network'
+                }
+            };
+        }
+    } catch (e) {
+        console.warn('[Background] Failed to fetch balance from network, using cache:', e);
+    }
+
+    // 2. Fallback to storage cache
+    const data = await chrome.storage.local.get(balancesKey);
+    const balances = data.balances || {};
+
+    return {
+        result: {
+            address,
+            balance: balances[address] || '0',
+            formatted: balances[address] ? (parseFloat(balances[address]) / 1000000).toFixed(6) : '0',
+            _source: 'cache'
+        }
+    };
+}
+
+/**
+ * Handle sign message (OSM-1)
+ */
+async function handleSignMessage(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.SIGN);
+    if (denied) return { error: denied };
+
+    if (!params?.payload || typeof params.payload !== 'object' || Array.isArray(params.payload)) {
+        return { error: { code: -32602, message: 'payload must be an object' } };
+    }
+
+    // Bind the payload to the real requesting origin. The page may claim any
+    // domain; keep what it claimed only to warn the user on the approval screen.
+    const claimedDomain = params.payload.domain;
+    const payload = { ...params.payload, domain: origin };
+
+    // Get wallet
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+    if (!wallet) return { error: 'Wallet not found' };
+
+    // Check lock
+    if (!wallet.privateKey && !wallet.privateKeyB64) {
+        return { error: 'Wallet locked. Please unlock.' };
+    }
+
+    // Login messages get the dedicated sign-in screen
+    const type = parseSignInMessage(payload.message) ? 'signIn' : 'signMessage';
+    const approvalParams = {
+        payload,
+        claimedDomain: claimedDomain !== undefined && claimedDomain !== origin ? claimedDomain : undefined
+    };
+
+    // Request Approval
+    try {
+        const result = await requestApproval(origin, type, approvalParams, wallet);
+        return { result: result.result };
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected message signing' } };
+    }
+}
+
+/**
+ * Handle Sign-In-With-Octra (message built here from the requesting origin)
+ */
+async function handleSignIn(origin, params = {}) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.SIGN);
+    if (denied) return { error: denied };
+
+    const { statement, uri, nonce, expiresIn, resources } = params;
+
+    if (statement !== undefined && (typeof statement !== 'string' || statement.includes('\n'))) {
+        return { error: { code: -32602, message: 'statement must be a single line of text' } };
+    }
+    if (uri !== undefined) {
+        let uriOrigin = null;
+        try {
+            uriOrigin = new URL(uri).origin;
+        } catch {
+            // Invalid URL
+        }
+        if (uriOrigin !== origin) {
+            return { error: { code: -32602, message: 'uri must belong to the requesting origin' } };
+        }
+    }
+    if (nonce !== undefined && !/^[A-Za-z0-9-]{8,}$/.test(nonce)) {
+        return { error: { code: -32602, message: 'nonce must be at least 8 alphanumeric characters' } };
+    }
+    if (expiresIn !== undefined && !(Number.isFinite(expiresIn) && expiresIn > 0)) {
+        return { error: { code: -32602, message: 'expiresIn must be a positive number of milliseconds' } };
+    }
+    if (resources !== undefined && (!Array.isArray(resources) || resources.some(r => typeof r !== 'string' || r.includes('\n')))) {
+        return { error: { code: -32602, message: 'resources must be an array of URIs' } };
+    }
+
+    const connection = dappConnections.get(origin);
+    const wallet = await getWalletFromStorage(connection.address);
+    if (!wallet) return { error: 'Wallet not found' };
+
+    if (!wallet.privateKey && !wallet.privateKeyB64) {
+        return { error: 'Wallet locked. Please unlock.' };
+    }
+
+    const payload = createSignInPayload({
+        address: wallet.address,
+        domain: origin,
+        uri: uri || origin,
+        statement,
+        chainId: connection.chainId,
+        nonce,
+        expiresIn,
+        resources
+    });
+
+    try {
+        const result = await requestApproval(origin, 'signIn', { payload }, wallet);
+        return { result: result.result };
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected sign-in' } };
+    }
+}
+
+/**
+ * Handle sign typed data (OSM-2)
+ */
+async function handleSignTypedData(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.SIGN);
+    if (denied) return { error: denied };
+
+    const validation = validateTypedData(params?.typedData);
+    if (!validation.valid) {
+        return { error: { code: -32602, message: `Invalid typed data: ${validation.error}` } };
+    }
+
+    // Bind the domain to the requesting origin so the signature is not valid for
+    // another site. A missing origin is filled in; another site's is refused.
+    const claimedOrigin = params.typedData.domain.origin;
+    if (claimedOrigin !== undefined && claimedOrigin !== origin) {
+        return { error: { code: -32602, message: `domain.origin ${claimedOrigin} does not match the requesting origin` } };
+    }
+    const typedData = { ...params.typedData, domain: { ...params.typedData.domain, origin } };
+
+    // The domain must target the chain this site is connected to
+    const connection = dappConnections.get(origin);
+    if (connection.chainId !== undefined && String(typedData.domain.chainId) !== String(connection.chainId)) {
+        return {
+            error: {
+                code: -32602,
+                message: `chainId ${typedData.domain.chainId} does not match the active chain ${connection.chainId}`
+            }
+        };
+    }
+
+    const wallet = await getWalletFromStorage(connection.address);
+    if (!wallet) return { error: 'Wallet not found' };
+
+    if (!wallet.privateKey && !wallet.privateKeyB64) {
+        return { error: 'Wallet locked. Please unlock.' };
+    }
+
+    try {
+        const result = await requestApproval(origin, 'signTypedData', { typedData }, wallet);
+        return { result: result.result };
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected typed data signing' } };
+    }
+}
+
+// Plaintext size accepted by octra_encrypt
+const MAX_ENCRYPT_BYTES = 64 * 1024;
+
+/**
+ * Encryption public key (X25519, base64) of the connected account
+ */
+async function handleGetEncryptionPublicKey(origin) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.VIEW_ADDRESS);
+    if (denied) return { error: denied };
+
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+    if (!wallet?.publicKeyB64) return { error: 'Wallet locked. Please unlock.' };
+
+    const encryptionPublicKey = getEncryptionPublicKey(wallet.publicKeyB64);
+    if (!encryptionPublicKey) return { error: { code: -32603, message: 'Account key cannot be used for encryption' } };
+    return { result: encryptionPublicKey };
+}
+
+/**
+ * Resolve the encryption key of an Octra address from its published Ed25519 key
+ */
+async function getAddressEncryptionKey(address) {
+    const response = await getRpcClient().get(`/public_key/${address}`);
+    const publicKeyB64 = response.json?.public_key;
+    if (!publicKeyB64) return null;
+
+    // The node's answer must hash to the requested address
+    if (await createOctraAddress(base64ToBuffer(publicKeyB64)) !== address) return null;
+    return getEncryptionPublicKey(publicKeyB64);
+}
+
+/**
+ * Encrypt data to an Octra address (or a raw encryption public key).
+ * No key of the wallet is involved, so no approval is needed.
+ */
+async function handleEncrypt(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.VIEW_ADDRESS);
+    if (denied) return { error: denied };
+
+    const { to, encryptionPublicKey, data } = params || {};
+    if (typeof data !== 'string') {
+        return { error: { code: -32602, message: 'data must be a string' } };
+    }
+    if (new TextEncoder().encode(data).length > MAX_ENCRYPT_BYTES) {
+        return { error: { code: -32602, message: `data must be at most ${MAX_ENCRYPT_BYTES} bytes` } };
+    }
+
+    let recipientKey = encryptionPublicKey;
+    if (!recipientKey) {
+        if (!isValidAddress(to)) {
+            return { error: { code: -32602, message: 'Expected a recipient address (to) or encryptionPublicKey' } };
+        }
+        try {
+            recipientKey = await getAddressEncryptionKey(to);
+        } catch (err) {
+            return { error: { code: -32603, message: err.message || 'Failed to look up recipient key' } };
+        }
+        if (!recipientKey) {
+            return { error: { code: -32602, message: 'Recipient has no public key on chain yet' } };
+        }
+    }
+
+    try {
+        return { result: encryptForPublicKey(data, recipientKey) };
+    } catch (err) {
+        return { error: { code: -32602, message: err.message } };
+    }
+}
+
+/**
+ * Decrypt an envelope addressed to the connected account (requires approval).
+ * The message is opened up front so the user can see what the site will read.
+ */
+async function handleDecrypt(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.DECRYPT);
+    if (denied) return { error: denied };
+
+    const envelope = params?.envelope || params;
+    if (!isValidEncryptionEnvelope(envelope)) {
+        return { error: { code: -32602, message: 'Invalid encryption envelope' } };
+    }
+
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+    if (!wallet) return { error: 'Wallet not found' };
+
+    if (!wallet.privateKey && !wallet.privateKeyB64) return { error: 'Wallet locked. Please unlock.' };
+
+    // Only the shape is checked up front: decrypting before approval would tell
+    // the site which envelopes belong to this account
+    try {
+        return await requestApproval(origin, 'decrypt', { envelope }, wallet);
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected decryption' } };
+    }
+}
+
+/**
+ * Handle sign transaction (OTX-1)
+ */
+async function handleSignTransaction(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.SIGN)
+        || checkTransactionSender(origin, [params.transaction || params]);
+    if (denied) return { error: denied };
+
+    // 1. Get Wallet
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+    if (!wallet) {
+        return { error: 'Wallet not found. Please connect first.' };
+    }
+
+    if (!wallet.privateKey && !wallet.privateKeyB64) {
+        return { error: 'Wallet locked. Please unlock to sign transaction.' };
+    }
+
+    // The nonce is reserved when signing, after approval, so rejected
+    // requests never hold one
+
+    // 2. Request User Approval
+    try {
+        // console.log('[Background] Requesting transaction signature approval...');
+        const result = await requestApproval(origin, 'signTransaction', params, wallet);
+        return result;
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected signature' } };
+    }
+}
+
+/**
+ * Handle send transaction
+ */
+async function handleSendTransaction(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.SIGN)
+        || checkTransactionSender(origin, [params.transaction || params]);
+    if (denied) return { error: denied };
+
+    // 1. Get Wallet
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+    if (!wallet) {
+        return { error: 'Wallet not found. Please connect first.' };
+    }
+
+    if (!wallet.privateKey && !wallet.privateKeyB64) {
+        return { error: 'Wallet locked. Please unlock to send transaction.' };
+    }
+
+    // The nonce is reserved when signing, after approval, so rejected
+    // requests never hold one
+
+    // 2. Request User Approval
+    try {
+        // console.log('[Background] Requesting transaction send approval...');
+        const result = await requestApproval(origin, 'sendTransaction', params, wallet);
+        return result;
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected transaction' } };
+    }
+}
+
+/**
+ * Handle batch signing / sending (one approval for all transactions)
+ */
+async function handleBatchTransactions(origin, params, type) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.SIGN);
+    if (denied) return { error: denied };
+
+    const transactions = params?.transactions;
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+        return { error: { code: -32602, message: 'Expected a non-empty transactions array' } };
+    }
+    if (transactions.length > MAX_BATCH_TRANSACTIONS) {
+        return { error: { code: -32602, message: `At most ${MAX_BATCH_TRANSACTIONS} transactions per batch` } };
+    }
+    if (transactions.some(tx => !tx || typeof tx !== 'object' || !tx.to)) {
+        return { error: { code: -32602, message: 'Every transaction needs a recipient (to)' } };
+    }
+
+    const foreignSender = checkTransactionSender(origin, transactions);
+    if (foreignSender) return { error: foreignSender };
+
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+    if (!wallet) {
+        return { error: 'Wallet not found. Please connect first.' };
+    }
+
+    if (!wallet.privateKey && !wallet.privateKeyB64) {
+        return { error: 'Wallet locked. Please unlock to sign transactions.' };
+    }
+
+    try {
+        return await requestApproval(origin, type, { transactions }, wallet);
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected transactions' } };
+    }
+}
+
+/**
+ * Validate contract call params shared by callView / callContract
+ */
+function validateContractCall(params) {
+    const { contract, method, params: args = [] } = params || {};
+    if (!isValidAddress(contract)) {
+        return { code: -32602, message: 'contract must be a valid Octra address' };
+    }
+    if (typeof method !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(method)) {
+        return { code: -32602, message: 'method must be a contract method name' };
+    }
+    if (!Array.isArray(args)) {
+        return { code: -32602, message: 'params must be an array' };
+    }
+    return null;
 }
 
 /**
- * Handle get public key
+ * Handle OCS01 view call (read-only, no approval)
  */
-async function handleGetPublicKey(origin) {
+async function handleCallView(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.READ_CONTRACTS);
+    if (denied) return { error: denied };
+
+    const invalid = validateContractCall(params);
+    if (invalid) return { error: invalid };
+
     const connection = dappConnections.get(origin);
-    if (!connection || !connection.connected) {
-        return { error: { code: 4100, message: 'Not connected' } };
-    }
+    const contract = new OCS01Contract(params.contract, connection.networkId);
+    const response = await contract.callView(params.method, params.params || [], connection.address);
 
-    const wallet = await getWalletFromStorage();
-    if (!wallet) {
-        return { error: { code: 4100, message: 'Wallet not found' } };
+    if (!response.success) {
+        return { error: { code: -32603, message: response.error || 'Contract view call failed' } };
     }
-
-    return { result: wallet.publicKeyB64 };
+    return { result: response.result };
 }
 
 /**
- * Handle get balance
+ * Handle OCS01 state-changing call (approval required)
  */
-async function handleGetBalance(params) {
-    const { address } = params;
-    const balancesKey = 'balances';
+async function handleCallContract(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.SIGN);
+    if (denied) return { error: denied };
 
-    // 1. Try to fetch fresh balance from RPC
-    try {
-        const RPC_URL = import.meta.env.VITE_RPC_URL || 'https://octra.network';
-        const baseUrl = RPC_URL.replace(/\/+$/, '');
+    const invalid = validateContractCall(params);
+    if (invalid) return { error: invalid };
 
-        // console.log('[Background] Fetching balance for', address);
-        const response = await fetch(`${baseUrl}/balance/${address}`);
+    const connection = dappConnections.get(origin);
+    const wallet = await getWalletFromStorage(connection.address);
+    if (!wallet) {
+        return { error: 'Wallet not found. Please connect first.' };
+    }
 
-        if (response.ok) {
-            const json = await response.json();
-            const rawBalance = json.balance_raw || (json.balance ? (parseFloat(json.balance) * 1000000).toString() : '0');
-            const nonce = json.nonce || 0;
+    if (!wallet.privateKey && !wallet.privateKeyB64) {
+        return { error: 'Wallet locked. Please unlock to call contract.' };
+    }
 
-            // Update Cache
-            const data = await chrome.storage.local.get(balancesKey);
-            const balances = data.balances || {};
-            balances[address] = rawBalance;
-            await chrome.storage.local.set({ [balancesKey]: balances });
+    const network = connection.networkId || wallet.network || 'mainnet';
+    const known = (KNOWN_CONTRACTS[network] || []).find(c => c.address === params.contract);
 
-            return {
-                result: {
-                    address,
-                    balance: rawBalance,
-                    formatted: json.balance ? parseFloat(json.balance).toFixed(6) : (parseFloat(rawBalance) / 1000000).toFixed(6),
-                    nonce: nonce,
-                    _source: 'network'
-                }
-            };
-        }
-    } catch (e) {
-        console.warn('[Background] Failed to fetch balance from network, using cache:', e);
+    try {
+        return await requestApproval(origin, 'callContract', {
+            contract: params.contract,
+            method: params.method,
+            params: params.params || [],
+            network,
+            known: known ? { name: known.name, verified: known.verified } : null
+        }, wallet);
+    } catch (err) {
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected contract call' } };
     }
+}
 
-    // 2. Fallback to storage cache
-    const data = await chrome.storage.local.get(balancesKey);
-    const balances = data.balances || {};
-
-    return {
-        result: {
-            address,
-            balance: balances[address] || '0',
-            formatted: balances[address] ? (parseFloat(balances[address]) / 1000000).toFixed(6) : '0',
-            _source: 'cache'
-        }
-    };
+/**
+ * Validate the token metadata a site suggests for watchAsset
+ */
+function validateAssetSuggestion(params) {
+    const { contract, symbol, name, decimals = 6, icon } = params || {};
+    if (!isValidAddress(contract)) {
+        return { code: -32602, message: 'contract must be a valid Octra address' };
+    }
+    if (typeof symbol !== 'string' || !symbol.trim() || symbol.length > 10) {
+        return { code: -32602, message: 'symbol must be 1-10 characters' };
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.length > 64)) {
+        return { code: -32602, message: 'name must be a string of at most 64 characters' };
+    }
+    if (!Number.isInteger(Number(decimals)) || decimals < 0 || decimals > 18) {
+        return { code: -32602, message: 'decimals must be an integer between 0 and 18' };
+    }
+    if (icon !== undefined && (typeof icon !== 'string' || !/^(https:\/\/|data:image\/)/.test(icon))) {
+        return { code: -32602, message: 'icon must be an https or data:image URL' };
+    }
+    return null;
 }
 
 /**
- * Handle sign message (OSM-1)
+ * Handle watchAsset: suggest an OCS01 token to track (approval required)
  */
-async function handleSignMessage(origin, params) {
+async function handleWatchAsset(origin, params) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.VIEW_ADDRESS);
+    if (denied) return { error: denied };
+
+    const invalid = validateAssetSuggestion(params);
+    if (invalid) return { error: invalid };
+
     const connection = dappConnections.get(origin);
-    if (!connection || !connection.connected) {
-        return { error: { code: 4100, message: 'Not connected' } };
+    const network = connection.networkId || 'mainnet';
+    const contract = new OCS01Contract(params.contract, network);
+
+    // A contract that cannot answer the OCS01 views is not a token we can track
+    const [spec, credits] = await Promise.all([
+        contract.getSpec(connection.address),
+        contract.getCredits(connection.address)
+    ]);
+    if (!spec.success || !credits.success) {
+        return {
+            error: {
+                code: -32602,
+                message: `Not an OCS01 token: ${(spec.success ? credits : spec).error || 'view call failed'}`
+            }
+        };
     }
-    const { payload } = params;
-
-    // Get wallet
-    const wallet = await getWalletFromStorage();
-    if (!wallet) return { error: 'Wallet not found' };
 
-    // Check lock
-    if (!wallet.privateKey && !wallet.privateKeyB64) {
-        return { error: 'Wallet locked. Please unlock.' };
+    const wallet = await getWalletFromStorage(connection.address);
+    if (!wallet) {
+        return { error: 'Wallet not found. Please connect first.' };
     }
 
-    // Request Approval
     try {
-        const result = await requestApproval(origin, 'signMessage', params, wallet);
-        return { result: result.result };
+        await requestApproval(origin, 'watchAsset', {
+            address: connection.address,
+            network,
+            contract: params.contract,
+            symbol: params.symbol.trim(),
+            name: params.name,
+            decimals: Number(params.decimals ?? 6),
+            icon: params.icon,
+            spec: spec.result,
+            balance: credits.result
+        }, wallet);
+        return { result: true };
     } catch (err) {
-        return { error: { code: 4001, message: 'User rejected message signing' } };
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected token' } };
     }
 }
 
 /**
- * Handle sign transaction (OTX-1)
+ * Handle shield / unshield / private transfer (approval required)
  */
-async function handleSignTransaction(origin, params) {
+async function handlePrivacyOperation(origin, params, type) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.PRIVACY);
+    if (denied) return { error: denied };
+
+    const amount = Number(params?.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return { error: { code: -32602, message: 'amount must be a positive number of OCT' } };
+    }
+
     const connection = dappConnections.get(origin);
-    if (!connection || !connection.connected) {
-        return { error: { code: 4100, message: 'Not connected' } };
+    if (type === 'privateTransfer') {
+        if (!isValidAddress(params.to)) {
+            return { error: { code: -32602, message: 'to must be a valid Octra address' } };
+        }
+        if (params.to === connection.address) {
+            return { error: { code: -32602, message: 'Cannot send a private transfer to yourself' } };
+        }
     }
 
-    // 1. Get Wallet
-    const wallet = await getWalletFromStorage();
+    const wallet = await getWalletFromStorage(connection.address);
     if (!wallet) {
         return { error: 'Wallet not found. Please connect first.' };
     }
 
     if (!wallet.privateKey && !wallet.privateKeyB64) {
-        return { error: 'Wallet locked. Please unlock to sign transaction.' };
+        return { error: 'Wallet locked. Please unlock to use privacy features.' };
     }
 
-    // Auto-fill nonce
-    const txParams = params.transaction || params;
-    await ensureNonce(txParams, wallet.address);
-
-    if (params.transaction) params.transaction = txParams;
-    else Object.assign(params, txParams);
+    // The approval screen shows the public balance only: reading the encrypted one
+    // sends the private key to the node, which must not happen before the user approves
+    const publicBalance = await getRpcClient().getBalance(wallet.address)
+        .then(result => result.balance)
+        .catch(() => null);
+    if (type === 'shield' && publicBalance !== null && amount > publicBalance) {
+        return { error: { code: -32602, message: `Insufficient public balance. Available: ${publicBalance} OCT` } };
+    }
 
-    // 2. Request User Approval
     try {
-        // console.log('[Background] Requesting transaction signature approval...');
-        const result = await requestApproval(origin, 'signTransaction', params, wallet);
-        return result;
+        return await requestApproval(origin, type, {
+            amount,
+            to: type === 'privateTransfer' ? params.to : undefined,
+            balance: publicBalance !== null ? { public: publicBalance } : null
+        }, wallet);
     } catch (err) {
-        return { error: { code: 4001, message: err.message || 'User rejected signature' } };
+        return { error: { code: err.code || 4001, message: err.message || 'User rejected privacy operation' } };
     }
 }
 
 /**
- * Handle send transaction
+ * Handle pending private transfers (read-only, no approval)
  */
-async function handleSendTransaction(origin, params) {
-    const connection = dappConnections.get(origin);
-    if (!connection || !connection.connected) {
-        return { error: { code: 4100, message: 'Not connected' } };
-    }
+async function handleGetPendingPrivateTransfers(origin) {
+    const denied = checkPermission(origin, DAPP_PERMISSIONS.PRIVACY);
+    if (denied) return { error: denied };
 
-    // 1. Get Wallet
-    const wallet = await getWalletFromStorage();
-    if (!wallet) {
-        return { error: 'Wallet not found. Please connect first.' };
+    const wallet = await getWalletFromStorage(dappConnections.get(origin).address);
+    if (!wallet || (!wallet.privateKey && !wallet.privateKeyB64)) {
+        return { error: 'Wallet locked. Please unlock the extension.' };
     }
 
-    if (!wallet.privateKey && !wallet.privateKeyB64) {
-        return { error: 'Wallet locked. Please unlock to send transaction.' };
-    }
+    const pending = await withPrivacyKey(wallet, () => privacyService.getPendingTransfers(wallet.address));
+    return { result: pending };
+}
 
-    // Auto-fill nonce
-    const txParams = params.transaction || params;
-    await ensureNonce(txParams, wallet.address);
+// The worker's keyring is empty; it holds one key only while a contract call
+// is signed. Calls are serialized so they never see each other's key.
+let keyringQueue = Promise.resolve();
 
-    if (params.transaction) params.transaction = txParams;
-    else Object.assign(params, txParams);
+function withSigningKeyring(wallet, fn) {
+    const run = keyringQueue.then(async () => {
+        await keyringService.initialize(null);
+        try {
+            keyringService.addKey(wallet.address, wallet.privateKey || wallet.privateKeyB64, wallet.publicKeyB64);
+            return await fn();
+        } finally {
+            keyringService.lock();
+        }
+    });
+    keyringQueue = run.catch(() => { });
+    return run;
+}
 
-    // 2. Request User Approval
-    try {
-        // console.log('[Background] Requesting transaction send approval...');
-        const result = await requestApproval(origin, 'sendTransaction', params, wallet);
-        return result;
-    } catch (err) {
-        return { error: { code: 4001, message: err.message || 'User rejected transaction' } };
+// Same queue for the privacy service, which also holds a single key
+function withPrivacyKey(wallet, fn) {
+    const run = keyringQueue.then(async () => {
+        privacyService.setPrivateKey(wallet.privateKey || wallet.privateKeyB64);
+        try {
+            return await fn();
+        } finally {
+            privacyService.clearPrivateKey();
+        }
+    });
+    keyringQueue = run.catch(() => { });
+    return run;
+}
+
+// Helper to number a batch. Leading transactions without a nonce get one free
+// consecutive run; after a nonce chosen by the dApp, missing ones continue from it.
+async function ensureSequentialNonces(transactions, address) {
+    const firstSet = transactions.findIndex(tx => tx.nonce !== undefined && tx.nonce !== null);
+    const leading = firstSet === -1 ? transactions.length : firstSet;
+
+    if (leading > 0) {
+        const nonces = await nonceManager.reserveNonces(address, leading);
+        nonces.forEach((nonce, index) => { transactions[index].nonce = nonce; });
+    }
+    for (let index = leading; index < transactions.length; index++) {
+        const tx = transactions[index];
+        if (tx.nonce === undefined || tx.nonce === null) {
+            tx.nonce = Number(transactions[index - 1].nonce) + 1;
+        }
+        await nonceManager.trackNonce(address, Number(tx.nonce));
     }
 }
 
-// Helper to ensure nonce is set
+// Helper to give back the nonces of a batch that was not submitted
+async function releaseBatchNonces(transactions, address) {
+    for (const tx of transactions) {
+        if (tx.nonce !== undefined && tx.nonce !== null) {
+            await nonceManager.releaseNonce(address, Number(tx.nonce));
+        }
+    }
+}
+
+// Helper to ensure nonce is set (reserved through the shared nonce manager)
 async function ensureNonce(txParams, address) {
     if (txParams.nonce === undefined || txParams.nonce === null) {
-        try {
-            // console.log('[Background] Nonce missing, fetching from network...');
-            const RPC_URL = import.meta.env.VITE_RPC_URL || 'https://octra.network';
-            const baseUrl = RPC_URL.replace(/\/+$/, '');
-            const resp = await fetch(`${baseUrl}/balance/${address}`);
-            if (resp.ok) {
-                const json = await resp.json();
-                const netNonce = parseInt(json.nonce || 0);
-                txParams.nonce = netNonce + 1;
-            } else {
-                txParams.nonce = Date.now();
-            }
-        } catch (e) {
-            console.warn('[Background] Failed to fetch nonce:', e);
-            txParams.nonce = Date.now();
-        }
+        txParams.nonce = await nonceManager.reserveNonce(address);
+    } else {
+        await nonceManager.trackNonce(address, Number(txParams.nonce));
     }
 }
 
@@ -569,13 +1987,71 @@ async function handlePopupRequest(message) {
 
         case 'getConnections':
             return {
-                result: Array.from(dappConnections.entries()).map(([origin, info]) => ({ origin, ...info }))
+                result: Array.from(dappConnections.entries()).map(([origin, info]) => ({
+                    origin,
+                    ...info,
+                    permissions: getConnectionPermissions(info)
+                }))
             };
 
         case 'disconnectOrigin':
-            dappConnections.delete(data.origin);
-            await saveConnections();
-            return { result: true };
+            return handleDisconnectOrigins([data.origin]);
+
+        case 'disconnectAll':
+            return handleDisconnectOrigins(
+                Array.from(dappConnections.entries())
+                    .filter(([, info]) => info.connected)
+                    .map(([origin]) => origin)
+            );
+
+        case 'getNetwork':
+            return handleGetNetwork();
+
+        case 'getConnectionSettings':
+            return { result: await getConnectionSettings() };
+
+        case 'setConnectionSettings': {
+            // Only the given flags change
+            const settings = await getConnectionSettings();
+            Object.keys(DEFAULT_CONNECTION_SETTINGS).forEach(key => {
+                if (data?.[key] !== undefined) settings[key] = Boolean(data[key]);
+            });
+            await chrome.storage.local.set({ [CONNECTION_SETTINGS_KEY]: settings });
+            return { result: settings };
+        }
+
+        case 'getTxPreviewSettings': {
+            const stored = await chrome.storage.local.get(TX_PREVIEW_SETTINGS_KEY);
+            return { result: { largeTxPercent: DEFAULT_LARGE_TX_PERCENT, ...stored[TX_PREVIEW_SETTINGS_KEY] } };
+        }
+
+        case 'setTxPreviewSettings': {
+            const percent = Number(data.largeTxPercent);
+            if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+                return { error: 'Threshold must be a whole percentage between 0 and 100' };
+            }
+            const settings = { largeTxPercent: percent };
+            await chrome.storage.local.set({ [TX_PREVIEW_SETTINGS_KEY]: settings });
+            return { result: settings };
+        }
+
+        case 'getSiteActivity': {
+            const stored = await chrome.storage.local.get(ACTIVITY_STORAGE_KEY);
+            return { result: stored[ACTIVITY_STORAGE_KEY]?.[data.origin] || [] };
+        }
+
+        case 'setConnectionAccounts':
+            return handleSetConnectionAccounts(data.origin, data.accounts);
+
+        case 'blockOrigin':
+            return handleBlockOrigin(data.origin);
+
+        case 'getOriginLists':
+            await phishingListsReady;
+            return { result: userOriginLists };
+
+        case 'setOriginTrust':
+            return handleSetOriginTrust(data.site, data.list ?? null);
 
         default:
             return { error: 'Unknown action' };
@@ -584,8 +2060,10 @@ async function handlePopupRequest(message) {
 
 /**
  * Get wallet from storage (Decryption Layer)
+ * Pass an address to load a specific account (e.g. the one bound to a dApp);
+ * defaults to the active wallet.
  */
-async function getWalletFromStorage() {
+async function getWalletFromStorage(address = null) {
     // 1. Get raw session (Encrypted)
     let session = activeSessionCache;
 
@@ -600,13 +2078,32 @@ async function getWalletFromStorage() {
         } catch (e) { }
     }
 
-    // 2. Decrypt if we have the key
-    if (session && session.encryptedPrivateKey && memorySessionKey) {
+    if (!session) return null;
+
+    // 2. Resolve the requested account
+    let wallet = null;
+    if (!address || address === session.address) {
+        wallet = { ...session };
+    } else if (session.accounts?.[address]) {
+        wallet = {
+            network: session.network,
+            timestamp: session.timestamp,
+            address,
+            ...session.accounts[address]
+        };
+    }
+    if (!wallet) return null; // Account not in this session
+
+    delete wallet.accounts; // Keys of other accounts never travel with a wallet object
+    wallet.publicKeyB64 = wallet.publicKeyB64 || wallet.publicKey;
+
+    // 3. Decrypt if we have the key
+    if (wallet.encryptedPrivateKey && memorySessionKey) {
         try {
-            const plaintextKey = await decryptSession(session.encryptedPrivateKey, memorySessionKey);
+            const plaintextKey = await decryptSession(wallet.encryptedPrivateKey, memorySessionKey);
             if (plaintextKey) {
                 return {
-                    ...session,
+                    ...wallet,
                     privateKey: plaintextKey, // Inject decrypted key for this op
                     privateKeyB64: plaintextKey // Alias for compatibility
                 };
@@ -616,14 +2113,37 @@ async function getWalletFromStorage() {
         }
     }
 
-    // 3. Fallback: Check if unencrypted (Legacy support / Transition)
-    if (session && (session.privateKey || session.privateKeyB64)) {
-        return session;
+    // 4. Fallback: Check if unencrypted (Legacy support / Transition)
+    if (wallet.privateKey || wallet.privateKeyB64) {
+        return wallet;
     }
 
     return null; // Locked
 }
 
+/**
+ * Get all account addresses available in the current session
+ */
+function getSessionAccounts() {
+    if (!activeSessionCache) return [];
+    const addresses = Object.keys(activeSessionCache.accounts || {});
+    if (activeSessionCache.address && !addresses.includes(activeSessionCache.address)) {
+        addresses.unshift(activeSessionCache.address);
+    }
+    return addresses;
+}
+
+/**
+ * Get accounts bound to a connection, selected account first.
+ * Connections saved before account binding expose only their address.
+ */
+function getConnectionAccounts(connection) {
+    const bound = Array.isArray(connection.accounts) && connection.accounts.length > 0
+        ? connection.accounts
+        : [connection.address];
+    return [connection.address, ...bound.filter(a => a !== connection.address)];
+}
+
 /**
  * Handle Approval Resolution from Popup
  */
@@ -637,11 +2157,11 @@ async function handleResolveApproval(data) {
         // console.log('[Background] Received session key via Approval Handoff');
     }
 
-    const approval = dappApprovals.get(id);
+    const approval = takeApproval(id);
 
     if (!approval) return { success: false, error: 'Request not found' };
 
-    dappApprovals.delete(id);
+    recordApprovalDecision(approval.origin, decision === 'approved');
 
     if (decision === 'approved') {
         try {
@@ -652,7 +2172,7 @@ async function handleResolveApproval(data) {
             // If the stored wallet object doesn't have a private key, try to fetch fresh one from storage
             // This handles the race condition where user just unlocked in the popup
             if (!signingWallet.privateKey && !signingWallet.privateKeyB64) {
-                const freshWallet = await getWalletFromStorage();
+                const freshWallet = await getWalletFromStorage(signingWallet.address);
                 if (freshWallet && (freshWallet.privateKey || freshWallet.privateKeyB64)) {
                     signingWallet = freshWallet;
                     // console.log('[Background] Refreshed wallet session for signing');
@@ -674,7 +2194,50 @@ async function handleResolveApproval(data) {
                 const signed = await signTransactionOnly(approval.params, signingWallet);
                 approval.resolve({ result: signed });
             }
-            else if (approval.type === 'signMessage') {
+            else if (approval.type === 'signAllTransactions') {
+                const { transactions } = approval.params;
+                const signed = [];
+                try {
+                    await ensureSequentialNonces(transactions, signingWallet.address);
+                    for (const tx of transactions) {
+                        signed.push(await signTransactionOnly(tx, signingWallet));
+                    }
+                } catch (err) {
+                    // Nothing is returned, so none of the batch's nonces will be used
+                    await releaseBatchNonces(transactions, signingWallet.address);
+                    throw err;
+                }
+                approval.resolve({ result: signed });
+            }
+            else if (approval.type === 'callContract') {
+                const { contract, method, params, network } = approval.params;
+                const response = await withSigningKeyring(signingWallet, () =>
+                    new OCS01Contract(contract, network).callMethod(method, params, signingWallet.address)
+                );
+                if (!response.success) throw new Error(response.error || 'Contract call failed');
+                approval.resolve({ result: { txHash: response.txHash, contract, method } });
+            }
+            else if (['shield', 'unshield', 'privateTransfer'].includes(approval.type)) {
+                const { amount, to } = approval.params;
+                const address = signingWallet.address;
+                const response = await withPrivacyKey(signingWallet, () => {
+                    if (approval.type === 'shield') return privacyService.shieldBalance(address, amount);
+                    if (approval.type === 'unshield') return privacyService.unshieldBalance(address, amount);
+                    return privacyService.privacyTransfer(address, to, amount);
+                });
+                approval.resolve({ result: { txHash: response.txHash, type: approval.type, amount, to } });
+            }
+            else if (approval.type === 'sendTransactions') {
+                try {
+                    await ensureSequentialNonces(approval.params.transactions, signingWallet.address);
+                } catch (err) {
+                    await releaseBatchNonces(approval.params.transactions, signingWallet.address);
+                    throw err;
+                }
+                const results = await broadcastTransactionsInOrder(approval.params.transactions, signingWallet);
+                approval.resolve({ result: results });
+            }
+            else if (approval.type === 'signMessage' || approval.type === 'signIn') {
                 const pk = signingWallet.privateKey || signingWallet.privateKeyB64;
                 if (!pk) throw new Error('Private key missing for message signing');
 
@@ -684,7 +2247,31 @@ async function handleResolveApproval(data) {
                         signature,
                         publicKey: signingWallet.publicKeyB64,
                         address: signingWallet.address,
-                        payload: approval.params.payload
+                        payload: approval.params.payload,
+                        origin: approval.origin // Verified origin (equals payload.domain)
+                    }
+                });
+            }
+            else if (approval.type === 'decrypt') {
+                const pk = signingWallet.privateKey || signingWallet.privateKeyB64;
+                const message = pk ? decryptEnvelope(approval.params.envelope, pk) : null;
+                // One error for every failure (wrong account, tampered or malformed data)
+                if (message === null) throw new Error('Unable to decrypt message');
+                approval.resolve({ result: message });
+            }
+            else if (approval.type === 'signTypedData') {
+                const pk = signingWallet.privateKey || signingWallet.privateKeyB64;
+                if (!pk) throw new Error('Private key missing for typed data signing');
+
+                const { typedData } = approval.params;
+                const signature = signWithKey(createTypedDataSigningMessage(typedData), pk);
+                approval.resolve({
+                    result: {
+                        signature,
+                        publicKey: signingWallet.publicKeyB64,
+                        address: signingWallet.address,
+                        typedData,
+                        origin: approval.origin
                     }
                 });
             }
@@ -694,7 +2281,7 @@ async function handleResolveApproval(data) {
             }
         } catch (err) {
             console.error('[Background] Resolve Error:', err);
-            approval.reject({ code: 5000, message: err.message || 'Internal signing error' });
+            approval.reject({ code: -32603, message: err.message || 'Internal signing error' });
         }
     } else {
         approval.reject({ code: 4001, message: 'User rejected request' });
@@ -707,72 +2294,19 @@ async function handleResolveApproval(data) {
  * Helper: Sign Transaction ONLY (No Broadcast)
  */
 async function signTransactionOnly(params, wallet) {
-    // console.log('[Background] SignTransactionOnly requested');
-    const privateKey = wallet.privateKey || wallet.privateKeyB64;
-
     const txParams = params.transaction || params;
-    const from = wallet.address;
-    const to = txParams.to;
-
-    // Amount
-    const μ = 1_000_000;
-    const amount = typeof txParams.amount === 'string' ? txParams.amount : String(txParams.amount);
-    let amountRaw;
-    if (txParams.amountRaw) {
-        amountRaw = txParams.amountRaw;
-    } else {
-        amountRaw = Math.floor(parseFloat(amount) * μ).toString();
-    }
-
-    const nonce = Number(txParams.nonce || Date.now());
-    const timestamp = Date.now() / 1000;
-
-    const tx = {
-        from: from,
-        to_: to,
-        amount: amountRaw,
-        nonce: nonce,
-        ou: txParams.fee ? String(Math.floor(txParams.fee * μ)) : '2000',
-        timestamp: timestamp
-    };
-
-    if (txParams.message) {
-        tx.message = txParams.message;
-    }
+    await ensureNonce(txParams, wallet.address);
 
-    const signPayload = JSON.stringify({
-        from: tx.from,
-        to_: tx.to_,
-        amount: tx.amount,
-        nonce: tx.nonce,
-        ou: tx.ou,
-        timestamp: tx.timestamp
+    const tx = buildTransaction({
+        from: wallet.address,
+        to: txParams.to,
+        amount: txParams.amount,
+        amountRaw: txParams.amountRaw,
+        fee: txParams.fee,
+        nonce: txParams.nonce,
+        message: txParams.message
     });
-
-    // Validations
-    if (!tx.from || !tx.to_) throw new Error("Invalid transaction parameters: From and To are required");
-    if (isNaN(tx.nonce)) throw new Error("Invalid nonce");
-
-    // Sign
-    const messageBytes = new TextEncoder().encode(signPayload);
-    const binaryKey = atob(privateKey);
-    const seedBytes = new Uint8Array(binaryKey.length);
-    for (let i = 0; i < binaryKey.length; i++) seedBytes[i] = binaryKey.charCodeAt(i);
-
-    const keyPair = nacl.sign.keyPair.fromSeed(seedBytes);
-    const signatureBytes = nacl.sign.detached(messageBytes, keyPair.secretKey);
-
-    let signature = '';
-    for (let i = 0; i < signatureBytes.length; i++) signature += String.fromCharCode(signatureBytes[i]);
-    signature = btoa(signature);
-
-    const signedTransaction = {
-        ...tx,
-        signature: signature,
-        public_key: wallet.publicKeyB64
-    };
-
-    return signedTransaction;
+    return signTransaction(tx, wallet.privateKey || wallet.privateKeyB64);
 }
 
 /**
@@ -780,12 +2314,35 @@ async function signTransactionOnly(params, wallet) {
  */
 async function signAndBroadcastTransaction(params, wallet) {
     // Reuse signing logic
-    const signedTransaction = await signTransactionOnly(params, wallet);
+    let signedTransaction;
+    try {
+        signedTransaction = await signTransactionOnly(params, wallet);
+    } catch (err) {
+        // Nothing was signed: give back the nonce held for it, if any
+        const { nonce } = params.transaction || params;
+        if (nonce !== undefined && nonce !== null) {
+            await nonceManager.releaseNonce(wallet.address, Number(nonce));
+        }
+        throw err;
+    }
 
+    try {
+        return await broadcastSignedTransaction(signedTransaction);
+    } catch (err) {
+        // Rejected by the node: hand the nonce to the next transaction
+        await nonceManager.releaseNonce(wallet.address, signedTransaction.nonce);
+        throw err;
+    }
+}
+
+/**
+ * Helper: Submit a signed transaction to the node
+ */
+async function broadcastSignedTransaction(signedTransaction) {
     // Broadcast
     // console.log('[Background] Broadcasting transaction...');
-    const RPC_URL = import.meta.env.VITE_RPC_URL || 'https://octra.network';
-    const broadcastUrl = `${RPC_URL.replace(/\/+$/, '')}/send-tx`;
+    const { rpcUrl } = await getActiveNetwork();
+    const broadcastUrl = `${rpcUrl.replace(/\/+$/, '')}/send-tx`;
 
     const rpcResponse = await fetch(broadcastUrl, {
         method: 'POST',
@@ -831,20 +2388,37 @@ async function signAndBroadcastTransaction(params, wallet) {
 }
 
 /**
- * Sign message with private key (OSM-1 format)
+ * Helper: Broadcast a batch in order.
+ * Each entry reports its own result or error; once one fails the rest are
+ * skipped, since their nonces would no longer line up.
  */
-async function signMessageWithKey(payload, privateKeyB64) {
-    // 1. Decode Private Key
-    const privateKeyBytes = Uint8Array.from(atob(privateKeyB64), c => c.charCodeAt(0));
-
-    // Derive if seed (32 bytes = seed, 64 bytes = full keypair)
-    let secretKey = privateKeyBytes;
-    if (privateKeyBytes.length === 32) {
-        const keyPair = nacl.sign.keyPair.fromSeed(privateKeyBytes);
-        secretKey = keyPair.secretKey;
+async function broadcastTransactionsInOrder(transactions, wallet) {
+    const results = [];
+    let failed = false;
+
+    for (const tx of transactions) {
+        if (failed) {
+            await nonceManager.releaseNonce(wallet.address, Number(tx.nonce));
+            results.push({ error: { code: -32603, message: 'Skipped: a previous transaction failed' } });
+            continue;
+        }
+        try {
+            results.push(await signAndBroadcastTransaction(tx, wallet));
+        } catch (err) {
+            // signAndBroadcastTransaction already released the nonce
+            failed = true;
+            results.push({ error: { code: -32603, message: err.message || 'Broadcast failed' } });
+        }
     }
 
-    // 2. Serialize Payload (Deterministic JSON - sorted keys)
+    return results;
+}
+
+/**
+ * Sign message with private key (OSM-1 format)
+ */
+async function signMessageWithKey(payload, privateKeyB64) {
+    // 1. Serialize Payload (Deterministic JSON - sorted keys)
     const sortedKeys = Object.keys(payload).sort();
     const sortedPayload = {};
     for (const key of sortedKeys) {
@@ -854,16 +2428,31 @@ async function signMessageWithKey(payload, privateKeyB64) {
     }
     const serialized = JSON.stringify(sortedPayload);
 
-    // 3. Apply OSM-1 Prefix (as per standard)
+    // 2. Apply OSM-1 Prefix (as per standard)
     const PREFIX = '\x19Octra Signed Message:\n';
     const fullMessage = PREFIX + serialized.length.toString() + '\n' + serialized;
 
-    // 4. Sign
+    // 3. Sign
+    return signWithKey(fullMessage, privateKeyB64);
+}
+
+/**
+ * Sign a prefixed message string, returns the base64 signature
+ */
+function signWithKey(fullMessage, privateKeyB64) {
+    // Decode Private Key
+    const privateKeyBytes = Uint8Array.from(atob(privateKeyB64), c => c.charCodeAt(0));
+
+    // Derive if seed (32 bytes = seed, 64 bytes = full keypair)
+    let secretKey = privateKeyBytes;
+    if (privateKeyBytes.length === 32) {
+        const keyPair = nacl.sign.keyPair.fromSeed(privateKeyBytes);
+        secretKey = keyPair.secretKey;
+    }
+
     const messageBytes = new TextEncoder().encode(fullMessage);
     const signatureBytes = nacl.sign.detached(messageBytes, secretKey);
 
-    // 5. Base64 Encode Signature
-    const signature = btoa(String.fromCharCode.apply(null, signatureBytes));
-
-    return signature;
+    // Base64 Encode Signature
+    return btoa(String.fromCharCode.apply(null, signatureBytes));
 }
@@ -5,13 +5,1062 @@
 
 import { useState, useEffect } from 'react';
 import './DappApproval.css';
-import { CheckIcon, AlertIcon, GlobeIcon, SignatureIcon } from '../shared/Icons';
+import { AlertIcon, GlobeIcon, LockIcon, SignatureIcon } from '../shared/Icons';
+import { ConfirmModal } from '../shared/ConfirmModal';
+import {
+    ALL_PERMISSIONS,
+    DEFAULT_PERMISSIONS,
+    PERMISSION_INFO,
+    CONNECTION_DURATION_INFO,
+    DEFAULT_CONNECTION_DURATION,
+    normalizePermissions
+} from '../../utils/dappPermissions';
+import { truncateAddress } from '../../utils/crypto';
+import { parseSignInMessage, validateSignInMessage } from '../../utils/osm1';
+import { isValidAddress } from '../../utils/validation';
+import { ocs01Manager } from '../../services/OCS01TokenService';
+import { getRpcClient } from '../../utils/rpc';
+import { popupRequest } from '../../utils/popupRequest';
+import {
+    DEFAULT_TX_FEE,
+    PREVIEW_WARNINGS,
+    buildTransactionPreview,
+    getTxAmount
+} from '../../utils/txPreview';
+
+/**
+ * Permission checkbox list (required permissions cannot be unchecked)
+ */
+function PermissionList({ permissions, selected, onToggle }) {
+    return (
+        <div className="approval-permissions">
+            {permissions.map((permission) => {
+                const info = PERMISSION_INFO[permission];
+                return (
+                    <label key={permission} className="permission-item permission-option">
+                        <input
+                            type="checkbox"
+                            checked={selected.includes(permission)}
+                            disabled={info.required}
+                            onChange={() => onToggle(permission)}
+                        />
+                        <span className="permission-text">
+                            <span>{info.label}</span>
+                            {info.description && (
+                                <span className="permission-desc">{info.description}</span>
+                            )}
+                        </span>
+                    </label>
+                );
+            })}
+        </div>
+    );
+}
+
+/**
+ * Toggle a permission in a selection list
+ */
+function togglePermission(selected, permission) {
+    return selected.includes(permission)
+        ? normalizePermissions(selected.filter(p => p !== permission))
+        : normalizePermissions([...selected, permission]);
+}
+
+/**
+ * Account checkbox list (which wallets a site may see)
+ */
+export function AccountList({ wallets, selected, onToggle }) {
+    return (
+        <div className="approval-permissions">
+            {wallets.map((w, index) => (
+                <label key={w.address} className="permission-item permission-option">
+                    <input
+                        type="checkbox"
+                        checked={selected.includes(w.address)}
+                        onChange={() => onToggle(w.address)}
+                    />
+                    <span className="permission-text">
+                        <span>{w.name || `Wallet ${index + 1}`}</span>
+                        <span className="permission-desc">{truncateAddress(w.address)}</span>
+                    </span>
+                </label>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Warning shown when the request comes from a frame embedded in another site
+ */
+function EmbeddedFrameNotice({ request }) {
+    if (!request.embeddedIn) return null;
+    // Frames between the requester and the top-level page
+    const between = (request.frameChain || []).slice(0, -1);
+    return (
+        <div className="approval-warning">
+            <AlertIcon size={14} />
+            <span>
+                Requested by {request.origin} embedded in {request.embeddedIn}
+                {between.length > 0 && ` (via ${between.join(' → ')})`}.
+                Only continue if you trust both sites.
+            </span>
+        </div>
+    );
+}
 
 /**
  * Connect Approval Component
  */
-export function ConnectApproval({ request, onApprove, onReject }) {
+export function ConnectApproval({ request, wallets = [], activeAddress, onApprove, onReject }) {
+    const [loading, setLoading] = useState(false);
+    const [selected, setSelected] = useState(() =>
+        normalizePermissions(request.params?.permissions || DEFAULT_PERMISSIONS)
+    );
+    const [accounts, setAccounts] = useState(() => (activeAddress ? [activeAddress] : []));
+    const [duration, setDuration] = useState(DEFAULT_CONNECTION_DURATION);
+
+    const toggleAccount = (address) => setAccounts(prev =>
+        prev.includes(address) ? prev.filter(a => a !== address) : [...prev, address]
+    );
+
+    const handleApprove = async () => {
+        setLoading(true);
+        try {
+            // Active account first so it becomes the selected one
+            const ordered = wallets.map(w => w.address).filter(a => accounts.includes(a));
+            if (activeAddress && ordered.includes(activeAddress)) {
+                ordered.splice(ordered.indexOf(activeAddress), 1);
+                ordered.unshift(activeAddress);
+            }
+            await onApprove({ permissions: selected, accounts: ordered, duration });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="dapp-approval">
+            <div className="dapp-approval-header">
+                <div className="dapp-icon">
+                    {request.favicon ? (
+                        <img src={request.favicon} alt="" onError={(e) => e.target.style.display = 'none'} />
+                    ) : (
+                        <GlobeIcon size={24} />
+                    )}
+                </div>
+                <div className="dapp-info">
+                    <div className="dapp-title">{request.title || 'Unknown dApp'}</div>
+                    <div className="dapp-origin">{request.origin}</div>
+                </div>
+            </div>
+
+            <div className="approval-message">
+                <p><strong>Authorize connection?</strong></p>
+                <p className="text-secondary text-sm">This site is requesting access to your wallet.</p>
+            </div>
+
+            <EmbeddedFrameNotice request={request} />
+
+            {wallets.length > 1 && (
+                <>
+                    <div className="approval-section-label">Accounts</div>
+                    <AccountList wallets={wallets} selected={accounts} onToggle={toggleAccount} />
+                    <div className="approval-section-label">Permissions</div>
+                </>
+            )}
+
+            <PermissionList
+                permissions={ALL_PERMISSIONS}
+                selected={selected}
+                onToggle={(permission) => setSelected(prev => togglePermission(prev, permission))}
+            />
+
+            <div className="approval-section-label">Stay connected</div>
+            <div className="connect-duration">
+                {Object.entries(CONNECTION_DURATION_INFO).map(([value, info]) => (
+                    <button
+                        key={value}
+                        type="button"
+                        className={`connect-duration-option ${duration === value ? 'selected' : ''}`}
+                        onClick={() => setDuration(value)}
+                    >
+                        {info.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="approval-actions">
+                <button
+                    className="btn-reject"
+                    onClick={onReject}
+                    disabled={loading}
+                >
+                    Cancel
+                </button>
+                <button
+                    className="btn-approve"
+                    onClick={handleApprove}
+                    disabled={loading || (wallets.length > 1 && accounts.length === 0)}
+                >
+                    {loading ? 'Authorizing...' : 'Authorize'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Additional Permissions Approval Component
+ */
+export function PermissionsApproval({ request, onApprove, onReject }) {
+    const [loading, setLoading] = useState(false);
+    const requested = request.params?.permissions || [];
+    const [selected, setSelected] = useState(requested);
+
+    const handleApprove = async () => {
+        setLoading(true);
+        try {
+            await onApprove({ permissions: selected });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="dapp-approval">
+            <div className="dapp-approval-header">
+                <div className="dapp-icon">
+                    {request.favicon ? (
+                        <img src={request.favicon} alt="" onError={(e) => e.target.style.display = 'none'} />
+                    ) : (
+                        <GlobeIcon size={24} />
+                    )}
+                </div>
+                <div className="dapp-info">
+                    <div className="dapp-title">{request.title || 'Unknown dApp'}</div>
+                    <div className="dapp-origin">{request.origin}</div>
+                </div>
+            </div>
+
+            <div className="approval-message">
+                <p><strong>Grant additional permissions?</strong></p>
+                <p className="text-secondary text-sm">This connected site is requesting more access.</p>
+            </div>
+
+            <EmbeddedFrameNotice request={request} />
+
+            <PermissionList
+                permissions={requested}
+                selected={selected}
+                onToggle={(permission) => setSelected(prev =>
+                    prev.includes(permission) ? prev.filter(p => p !== permission) : [...prev, permission]
+                )}
+            />
+
+            <div className="approval-actions">
+                <button
+                    className="btn-reject"
+                    onClick={onReject}
+                    disabled={loading}
+                >
+                    Cancel
+                </button>
+                <button
+                    className="btn-approve"
+                    onClick={handleApprove}
+                    disabled={loading || selected.length === 0}
+                >
+                    {loading ? 'Granting...' : 'Grant'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Warning shown when a page claimed another domain for its message
+ */
+function ClaimedDomainWarning({ claimedDomain, origin }) {
+    if (!claimedDomain) return null;
+    return (
+        <div className="approval-warning approval-warning-danger">
+            <AlertIcon size={14} />
+            <span>
+                This site asked to sign as {claimedDomain}. The signature will be bound to {origin} instead.
+            </span>
+        </div>
+    );
+}
+
+/**
+ * Sign Message Approval Component
+ */
+export function SignApproval({ request, onApprove, onReject }) {
+    const [loading, setLoading] = useState(false);
+
+    const handleApprove = async () => {
+        setLoading(true);
+        try {
+            await onApprove();
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Format message for display
+    const formatMessage = (payload) => {
+        if (!payload) return 'No message';
+        if (typeof payload === 'string') return payload;
+        return payload.message || JSON.stringify(payload, null, 2);
+    };
+
+    return (
+        <div className="dapp-approval">
+            <div className="dapp-approval-header">
+                <div className="dapp-icon">
+                    {request.favicon ? (
+                        <img src={request.favicon} alt="" onError={(e) => e.target.style.display = 'none'} />
+                    ) : (
+                        <SignatureIcon size={24} />
+                    )}
+                </div>
+                <div className="dapp-info">
+                    <div className="dapp-title">Sign Message</div>
+                    <div className="dapp-origin">{request.origin}</div>
+                </div>
+            </div>
+
+            <ClaimedDomainWarning claimedDomain={request.claimedDomain} origin={request.origin} />
+
+            <div className="message-preview">
+                <div className="message-label">Message to sign:</div>
+                <div className="message-content">
+                    {formatMessage(request.payload)}
+                </div>
+            </div>
+
+            {request.payload?.domain && (
+                <div className="message-meta">
+                    <div className="meta-item">
+                        <span className="meta-label">Domain:</span>
+                        <span className="meta-value">{request.payload.domain}</span>
+                    </div>
+                    {request.payload.expiresAt && (
+                        <div className="meta-item">
+                            <span className="meta-label">Expires:</span>
+                            <span className="meta-value">
+                                {new Date(request.payload.expiresAt).toLocaleString()}
+                            </span>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <div className="approval-warning">
+                <AlertIcon size={14} />
+                <span>Only sign messages from sites you trust</span>
+            </div>
+
+            <div className="approval-actions">
+                <button
+                    className="btn-reject"
+                    onClick={onReject}
+                    disabled={loading}
+                >
+                    Reject
+                </button>
+                <button
+                    className="btn-approve"
+                    onClick={handleApprove}
+                    disabled={loading}
+                >
+                    {loading ? 'Signing...' : 'Sign'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Sign-In-With-Octra Approval Component
+ */
+export function SignInApproval({ request, onApprove, onReject }) {
+    const [loading, setLoading] = useState(false);
+
+    const handleApprove = async () => {
+        setLoading(true);
+        try {
+            await onApprove();
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fields = parseSignInMessage(request.payload?.message);
+    const { validations } = validateSignInMessage(fields, { expectedDomain: request.origin });
+
+    return (
+        <div className="dapp-approval">
+            <div className="dapp-approval-header">
+                <div className="dapp-icon">
+                    {request.favicon ? (
+                        <img src={request.favicon} alt="" onError={(e) => e.target.style.display = 'none'} />
+                    ) : (
+                        <GlobeIcon size={24} />
+                    )}
+                </div>
+                <div className="dapp-info">
+                    <div className="dapp-title">Sign in to {request.origin}</div>
+                    <div className="dapp-origin">Sign-In-With-Octra</div>
+                </div>
+            </div>
+
+            <ClaimedDomainWarning claimedDomain={request.claimedDomain} origin={request.origin} />
+
+            {!validations.domainMatch && (
+                <div className="approval-warning approval-warning-danger">
+                    <AlertIcon size={14} />
+                    <span>
+                        This login is for {fields.domain}, but the request comes from {request.origin}.
+                        It may be a phishing attempt.
+                    </span>
+                </div>
+            )}
+
+            {fields.statement && (
+                <div className="message-preview">
+                    <div className="message-content">{fields.statement}</div>
+                </div>
+            )}
+
+            <div className="message-meta">
+                <div className="meta-item">
+                    <span className="meta-label">Account:</span>
+                    <span className="meta-value">{truncateAddress(fields.address)}</span>
+                </div>
+                <div className="meta-item">
+                    <span className="meta-label">URI:</span>
+                    <span className="meta-value truncate">{fields.uri}</span>
+                </div>
+                {fields.expirationTime && (
+                    <div className="meta-item">
+                        <span className="meta-label">Expires:</span>
+                        <span className="meta-value">{new Date(fields.expirationTime).toLocaleString()}</span>
+                    </div>
+                )}
+                {fields.resources.map((resource) => (
+                    <div key={resource} className="meta-item">
+                        <span className="meta-label">Resource:</span>
+                        <span className="meta-value truncate">{resource}</span>
+                    </div>
+                ))}
+            </div>
+
+            {!validations.notExpired && (
+                <div className="approval-warning approval-warning-danger">
+                    <AlertIcon size={14} />
+                    <span>This sign-in request has expired</span>
+                </div>
+            )}
+
+            <div className="approval-actions">
+                <button
+                    className="btn-reject"
+                    onClick={onReject}
+                    disabled={loading}
+                >
+                    Cancel
+                </button>
+                <button
+                    className="btn-approve"
+                    onClick={handleApprove}
+                    disabled={loading || !validations.notExpired}
+                >
+                    {loading ? 'Signing...' : 'Sign In'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Render one typed value using its declared schema
+ */
+function TypedDataValue({ type, value, types }) {
+    if (type.endsWith('[]')) {
+        const itemType = type.slice(0, -2);
+        return (
+            <div className="typed-data-fields">
+                {(value || []).map((item, index) => (
+                    <div key={index} className="typed-data-field">
+                        <span className="typed-data-name">[{index}]</span>
+                        <TypedDataValue type={itemType} value={item} types={types} />
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
+    if (types[type]) {
+        return (
+            <div className="typed-data-fields">
+                {types[type].map((field) => (
+                    <div key={field.name} className="typed-data-field">
+                        <span className="typed-data-name">
+                            {field.name} <span className="typed-data-type">{field.type}</span>
+                        </span>
+                        <TypedDataValue type={field.type} value={value?.[field.name]} types={types} />
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
+    return <span className="typed-data-value">{String(value)}</span>;
+}
+
+/**
+ * Typed Data Approval Component (OSM-2)
+ */
+export function TypedDataApproval({ request, onApprove, onReject }) {
+    const [loading, setLoading] = useState(false);
+
+    const handleApprove = async () => {
+        setLoading(true);
+        try {
+            await onApprove();
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const { types = {}, primaryType, domain = {}, message } = request.typedData || {};
+
+    return (
+        <div className="dapp-approval">
+            <div className="dapp-approval-header">
+                <div className="dapp-icon">
+                    {request.favicon ? (
+                        <img src={request.favicon} alt="" onError={(e) => e.target.style.display = 'none'} />
+                    ) : (
+                        <SignatureIcon size={24} />
+                    )}
+                </div>
+                <div className="dapp-info">
+                    <div className="dapp-title">Sign {primaryType}</div>
+                    <div className="dapp-origin">{request.origin}</div>
+                </div>
+            </div>
+
+            <div className="message-meta">
+                <div className="meta-item">
+                    <span className="meta-label">Application:</span>
+                    <span className="meta-value">{domain.name}{domain.version ? ` v${domain.version}` : ''}</span>
+                </div>
+                <div className="meta-item">
+                    <span className="meta-label">Chain ID:</span>
+                    <span className="meta-value">{String(domain.chainId)}</span>
+                </div>
+                {domain.origin && (
+                    <div className="meta-item">
+                        <span className="meta-label">Origin:</span>
+                        <span className="meta-value">{domain.origin}</span>
+                    </div>
+                )}
+                {domain.verifyingContract && (
+                    <div className="meta-item">
+                        <span className="meta-label">Contract:</span>
+                        <span className="meta-value">{truncateAddress(domain.verifyingContract)}</span>
+                    </div>
+                )}
+            </div>
+
+            <div className="message-preview">
+                <div className="message-label">{primaryType}</div>
+                <div className="message-content typed-data">
+                    <TypedDataValue type={primaryType} value={message} types={types} />
+                </div>
+            </div>
+
+            <div className="approval-warning">
+                <AlertIcon size={14} />
+                <span>Only sign data from sites you trust</span>
+            </div>
+
+            <div className="approval-actions">
+                <button
+                    className="btn-reject"
+                    onClick={onReject}
+                    disabled={loading}
+                >
+                    Reject
+                </button>
+                <button
+                    className="btn-approve"
+                    onClick={handleApprove}
+                    disabled={loading}
+                >
+                    {loading ? 'Signing...' : 'Sign'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Addresses the sender has dealt with before: own accounts plus
+ * counterparties from the cached dashboard history
+ */
+function getKnownAddresses(from, wallets) {
+    const known = wallets.map(w => w.address);
+    try {
+        const cached = JSON.parse(localStorage.getItem(`cache_app_txs_${from}`) || 'null');
+        (cached?.data || []).forEach(tx => tx.address && known.push(tx.address));
+    } catch {
+        // No readable history: every outside address counts as unknown
+    }
+    return known;
+}
+
+/**
+ * Load balance, mempool and recipient data and simulate the transaction
+ */
+function useTransactionPreview(transaction, wallets) {
+    const [preview, setPreview] = useState(null);
+    const [failed, setFailed] = useState(false);
+    // The request object is rebuilt on every render; only refetch when its content changes
+    const txKey = JSON.stringify(transaction);
+
+    useEffect(() => {
+        const tx = JSON.parse(txKey);
+        if (!tx.from) return;
+        let cancelled = false;
+        const rpc = getRpcClient();
+        const to = tx.to || tx.to_;
+
+        (async () => {
+            try {
+                const [account, staged, settings, recipient] = await Promise.all([
+                    rpc.getBalance(tx.from),
+                    rpc.getStagedTransactions().catch(() => []),
+                    popupRequest('getTxPreviewSettings').catch(() => ({})),
+                    to ? rpc.getAddressInfo(to, 1).catch(() => null) : null
+                ]);
+                const recipientSeen = recipient
+                    ? Boolean(recipient.nonce || parseFloat(recipient.balance) || recipient.recent_transactions?.length)
+                    : null;
+                if (cancelled) return;
+                setPreview(buildTransactionPreview({
+                    account,
+                    staged,
+                    tx,
+                    knownAddresses: getKnownAddresses(tx.from, wallets),
+                    recipientSeen,
+                    largeTxPercent: settings?.largeTxPercent
+                }));
+            } catch (err) {
+                console.warn('Failed to build transaction preview:', err);
+                if (!cancelled) setFailed(true);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [txKey, wallets]);
+
+    return { preview, failed };
+}
+
+/**
+ * Transaction Approval Component
+ */
+export function TransactionApproval({ request, wallets = [], onApprove, onReject, mode = 'send' }) {
+    const [loading, setLoading] = useState(false);
+    const tx = request.transaction;
+    const { preview, failed } = useTransactionPreview(tx, wallets);
+
+    const handleApprove = async () => {
+        setLoading(true);
+        try {
+            await onApprove();
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const to = tx.to || tx.to_;
+    const amount = getTxAmount(tx);
+    const fee = tx.fee ? Number(tx.fee) : DEFAULT_TX_FEE;
+    const isSend = mode === 'send';
+    const insufficient = preview?.warnings.some(w => w.type === PREVIEW_WARNINGS.INSUFFICIENT_FUNDS);
+
+    return (
+        <div className="dapp-approval">
+            <div className="dapp-approval-header">
+                <div className="dapp-icon tx-icon">
+                    <span>TX</span>
+                </div>
+                <div className="dapp-info">
+                    <div className="dapp-title">{isSend ? 'Confirm Transaction' : 'Sign Transaction'}</div>
+                    <div className="dapp-origin">{request.origin}</div>
+                </div>
+            </div>
+
+            <div className="tx-details">
+                <div className="tx-amount">
+                    <span className="amount-value">{amount.toFixed(6)}</span>
+                    <span className="amount-unit">OCT</span>
+                </div>
+
+                <div className="tx-flow">
+                    <div className="tx-address">
+                        <span className="address-label">From</span>
+                        <span className="address-value">{tx.from?.slice(0, 12)}...{tx.from?.slice(-8)}</span>
+                    </div>
+                    <div className="tx-arrow">-&gt;</div>
+                    <div className="tx-address">
+                        <span className="address-label">To</span>
+                        <span className="address-value">{to?.slice(0, 12)}...{to?.slice(-8)}</span>
+                    </div>
+                </div>
+
+                <div className="tx-details-row">
+                    <span className="text-secondary">Network Fee</span>
+                    <span>{fee.toFixed(6)} OCT</span>
+                </div>
+
+                {preview ? (
+                    <>
+                        {preview.pendingCount > 0 && (
+                            <div className="tx-details-row">
+                                <span className="text-secondary">Pending ({preview.pendingCount})</span>
+                                <span>-{preview.pendingAmount.toFixed(6)} OCT</span>
+                            </div>
+                        )}
+                        <div className="tx-details-row">
+                            <span className="text-secondary">Balance</span>
+                            <span className={insufficient ? 'text-error' : undefined}>
+                                {preview.available.toFixed(6)} -&gt; {preview.resultingBalance.toFixed(6)} OCT
+                            </span>
+                        </div>
+                        <div className="tx-details-row">
+                            <span className="text-secondary">Nonce</span>
+                            <span>{tx.nonce ?? preview.nonce}</span>
+                        </div>
+                    </>
+                ) : (
+                    <div className="tx-details-row">
+                        <span className="text-secondary">Balance</span>
+                        <span>{failed ? 'Unavailable' : 'Simulating...'}</span>
+                    </div>
+                )}
+
+                {tx.message && (
+                    <div className="tx-memo">
+                        <span className="memo-label">Memo:</span>
+                        <span className="memo-value">{tx.message}</span>
+                    </div>
+                )}
+            </div>
+
+            {preview?.warnings.map((warning) => (
+                <div
+                    key={warning.type}
+                    className={`approval-warning ${warning.type === PREVIEW_WARNINGS.INSUFFICIENT_FUNDS ? 'approval-warning-danger' : ''}`}
+                >
+                    <AlertIcon size={14} />
+                    <span>{warning.message}</span>
+                </div>
+            ))}
+
+            <div className="approval-warning">
+                <AlertIcon size={14} />
+                <span>{isSend ? 'This action cannot be undone' : 'Signature will be shared with the site'}</span>
+            </div>
+
+            <div className="approval-actions">
+                <button
+                    className="btn-reject"
+                    onClick={onReject}
+                    disabled={loading}
+                >
+                    Reject
+                </button>
+                <button
+                    className="btn-approve btn-send"
+                    onClick={handleApprove}
+                    disabled={loading || (isSend && insufficient)}
+                >
+                    {loading ? (isSend ? 'Sending...' : 'Signing...') : (isSend ? 'Confirm & Send' : 'Sign Only')}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Batch Transaction Approval Component
+ */
+export function BatchTransactionApproval({ request, onApprove, onReject, mode = 'send' }) {
+    const [loading, setLoading] = useState(false);
+
+    const handleApprove = async () => {
+        setLoading(true);
+        try {
+            await onApprove();
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const transactions = request.transactions || [];
+    const totalAmount = transactions.reduce((sum, tx) => sum + getTxAmount(tx), 0);
+    const totalFees = transactions.reduce((sum, tx) => sum + (tx.fee ? Number(tx.fee) : DEFAULT_TX_FEE), 0);
+    const isSend = mode === 'send';
+
+    return (
+        <div className="dapp-approval">
+            <div className="dapp-approval-header">
+                <div className="dapp-icon tx-icon">
+                    <span>{transactions.length}x</span>
+                </div>
+                <div className="dapp-info">
+                    <div className="dapp-title">
+                        {isSend ? `Confirm ${transactions.length} Transactions` : `Sign ${transactions.length} Transactions`}
+                    </div>
+                    <div className="dapp-origin">{request.origin}</div>
+                </div>
+            </div>
+
+            <div className="tx-details">
+                <div className="tx-amount">
+                    <span className="amount-value">{totalAmount.toFixed(6)}</span>
+                    <span className="amount-unit">OCT</span>
+                </div>
+
+                <div className="batch-tx-list">
+                    {transactions.map((tx, index) => (
+                        <div key={index} className="batch-tx-item">
+                            <span className="batch-tx-index">#{index + 1}</span>
+                            <span className="address-value">{tx.to?.slice(0, 10)}...{tx.to?.slice(-6)}</span>
+                            <span className="batch-tx-amount">{getTxAmount(tx).toFixed(6)} OCT</span>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="tx-details-row">
+                    <span className="text-secondary">Total Network Fees</span>
+                    <span>{totalFees.toFixed(6)} OCT</span>
+                </div>
+            </div>
+
+            <div className="approval-warning">
+                <AlertIcon size={14} />
+                <span>
+                    {isSend
+                        ? 'Transactions are sent in order. This action cannot be undone'
+                        : 'Signatures will be shared with the site'}
+                </span>
+            </div>
+
+            <div className="approval-actions">
+                <button
+                    className="btn-reject"
+                    onClick={onReject}
+                    disabled={loading}
+                >
+                    Reject
+                </button>
+                <button
+                    className="btn-approve btn-send"
+                    onClick={handleApprove}
+                    disabled={loading}
+                >
+                    {loading ? (isSend ? 'Sending...' : 'Signing...') : (isSend ? 'Confirm & Send All' : 'Sign All')}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Describe a contract call argument for display
+ */
+function describeParam(value) {
+    if (isValidAddress(value)) {
+        return { type: 'address', display: truncateAddress(value) };
+    }
+    if (typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value))) {
+        return { type: 'number', display: String(value) };
+    }
+    if (typeof value === 'string') {
+        return { type: 'string', display: value };
+    }
+    return { type: typeof value, display: JSON.stringify(value) };
+}
+
+/**
+ * Contract Call Approval Component (OCS01)
+ */
+export function ContractCallApproval({ request, onApprove, onReject }) {
+    const [loading, setLoading] = useState(false);
+
+    const handleApprove = async () => {
+        setLoading(true);
+        try {
+            await onApprove();
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const { contract, method, params = [], known } = request.call || {};
+
+    return (
+        <div className="dapp-approval">
+            <div className="dapp-approval-header">
+                <div className="dapp-icon tx-icon">
+                    <span>SC</span>
+                </div>
+                <div className="dapp-info">
+                    <div className="dapp-title">Contract Call</div>
+                    <div className="dapp-origin">{request.origin}</div>
+                </div>
+            </div>
+
+            <div className="message-meta">
+                <div className="meta-item">
+                    <span className="meta-label">Contract:</span>
+                    <span className="meta-value">{truncateAddress(contract)}</span>
+                </div>
+                <div className="meta-item">
+                    <span className="meta-label">Known as:</span>
+                    <span className="meta-value">
+                        {known ? `${known.name}${known.verified ? ' (verified)' : ''}` : 'Unknown contract'}
+                    </span>
+                </div>
+                <div className="meta-item">
+                    <span className="meta-label">Method:</span>
+                    <span className="meta-value">{method}</span>
+                </div>
+            </div>
+
+            <div className="message-preview">
+                <div className="message-label">Parameters</div>
+                <div className="message-content typed-data">
+                    {params.length === 0 ? (
+                        <span className="typed-data-value">None</span>
+                    ) : (
+                        <div className="typed-data-fields">
+                            {params.map((value, index) => {
+                                const param = describeParam(value);
+                                return (
+                                    <div key={index} className="typed-data-field">
+                                        <span className="typed-data-name">
+                                            [{index}] <span className="typed-data-type">{param.type}</span>
+                                        </span>
+                                        <span className="typed-data-value">{param.display}</span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {!known && (
+                <div className="approval-warning approval-warning-danger">
+                    <AlertIcon size={14} />
+                    <span>This contract is not in the known contracts list. Only continue if you trust it</span>
+                </div>
+            )}
+
+            <div className="approval-warning">
+                <AlertIcon size={14} />
+                <span>This action cannot be undone</span>
+            </div>
+
+            <div className="approval-actions">
+                <button
+                    className="btn-reject"
+                    onClick={onReject}
+                    disabled={loading}
+                >
+                    Reject
+                </button>
+                <button
+                    className="btn-approve btn-send"
+                    onClick={handleApprove}
+                    disabled={loading}
+                >
+                    {loading ? 'Sending...' : 'Confirm'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Decrypt Approval Component (reveal a message encrypted to the account)
+ */
+export function DecryptApproval({ request, onApprove, onReject }) {
+    const [loading, setLoading] = useState(false);
+
+    const handleApprove = async () => {
+        setLoading(true);
+        try {
+            await onApprove();
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="dapp-approval">
+            <div className="dapp-approval-header">
+                <div className="dapp-icon">
+                    <LockIcon size={24} />
+                </div>
+                <div className="dapp-info">
+                    <div className="dapp-title">Decrypt Message</div>
+                    <div className="dapp-origin">{request.origin}</div>
+                </div>
+            </div>
+
+            <div className="message-preview">
+                <div className="message-label">Encrypted message:</div>
+                <div className="message-content">{request.params?.envelope?.ciphertext}</div>
+            </div>
+
+            <div className="approval-warning">
+                <AlertIcon size={14} />
+                <span>The message is decrypted only if you approve, and the site will be able to read it</span>
+            </div>
+
+            <div className="approval-actions">
+                <button
+                    className="btn-reject"
+                    onClick={onReject}
+                    disabled={loading}
+                >
+                    Reject
+                </button>
+                <button
+                    className="btn-approve"
+                    onClick={handleApprove}
+                    disabled={loading}
+                >
+                    {loading ? 'Decrypting...' : 'Decrypt'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Switch Network Approval Component
+ */
+export function SwitchNetworkApproval({ request, onApprove, onReject }) {
     const [loading, setLoading] = useState(false);
+    const { from, to } = request.params || {};
 
     const handleApprove = async () => {
         setLoading(true);
@@ -26,35 +1075,27 @@ export function ConnectApproval({ request, onApprove, onReject }) {
         <div className="dapp-approval">
             <div className="dapp-approval-header">
                 <div className="dapp-icon">
-                    {request.favicon ? (
-                        <img src={request.favicon} alt="" onError={(e) => e.target.style.display = 'none'} />
-                    ) : (
-                        <GlobeIcon size={24} />
-                    )}
+                    <GlobeIcon size={24} />
                 </div>
                 <div className="dapp-info">
-                    <div className="dapp-title">{request.title || 'Unknown dApp'}</div>
+                    <div className="dapp-title">Switch Network</div>
                     <div className="dapp-origin">{request.origin}</div>
                 </div>
             </div>
 
             <div className="approval-message">
-                <p><strong>Authorize connection?</strong></p>
-                <p className="text-secondary text-sm">This site is requesting access to your wallet.</p>
+                <p><strong>Allow this site to switch the network?</strong></p>
+                <p className="text-secondary text-sm">The wallet and every connected site will use the new network.</p>
             </div>
 
-            <div className="approval-permissions">
-                <div className="permission-item">
-                    <CheckIcon size={14} />
-                    <span>View your public address</span>
-                </div>
-                <div className="permission-item">
-                    <CheckIcon size={14} />
-                    <span>View your public balance</span>
+            <div className="tx-details">
+                <div className="tx-details-row">
+                    <span className="text-secondary">From</span>
+                    <span>{from?.name}</span>
                 </div>
-                <div className="permission-item">
-                    <CheckIcon size={14} />
-                    <span>Request approval for transactions</span>
+                <div className="tx-details-row">
+                    <span className="text-secondary">To</span>
+                    <span>{to?.name} (chain {to?.chainId})</span>
                 </div>
             </div>
 
@@ -71,7 +1112,7 @@ export function ConnectApproval({ request, onApprove, onReject }) {
                     onClick={handleApprove}
                     disabled={loading}
                 >
-                    {loading ? 'Authorizing...' : 'Authorize'}
+                    {loading ? 'Switching...' : 'Switch Network'}
                 </button>
             </div>
         </div>
@@ -79,72 +1120,100 @@ export function ConnectApproval({ request, onApprove, onReject }) {
 }
 
 /**
- * Sign Message Approval Component
+ * Watch Asset Approval Component (track an OCS01 token suggested by a site)
  */
-export function SignApproval({ request, onApprove, onReject }) {
+export function WatchAssetApproval({ request, onApprove, onReject }) {
     const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [iconFailed, setIconFailed] = useState(false);
 
+    const asset = request.asset || {};
+    const alreadyTracked = ocs01Manager.isTracked(asset.address, asset.contract, asset.network);
+
+    // The token list lives in the popup's encrypted storage, so it is added here
     const handleApprove = async () => {
         setLoading(true);
+        setError('');
         try {
+            if (!alreadyTracked) {
+                await ocs01Manager.addUserContract(asset.address, asset.contract);
+            }
             await onApprove();
+        } catch (err) {
+            setError(err.message || 'Failed to add token');
         } finally {
             setLoading(false);
         }
     };
 
-    // Format message for display
-    const formatMessage = (payload) => {
-        if (!payload) return 'No message';
-        if (typeof payload === 'string') return payload;
-        return payload.message || JSON.stringify(payload, null, 2);
-    };
-
     return (
         <div className="dapp-approval">
             <div className="dapp-approval-header">
-                <div className="dapp-icon">
-                    {request.favicon ? (
-                        <img src={request.favicon} alt="" onError={(e) => e.target.style.display = 'none'} />
+                <div className="dapp-icon tx-icon">
+                    {asset.icon && !iconFailed ? (
+                        <img src={asset.icon} alt="" onError={() => setIconFailed(true)} />
                     ) : (
-                        <SignatureIcon size={24} />
+                        <span>{asset.symbol?.slice(0, 3)}</span>
                     )}
                 </div>
                 <div className="dapp-info">
-                    <div className="dapp-title">Sign Message</div>
+                    <div className="dapp-title">Add Token</div>
                     <div className="dapp-origin">{request.origin}</div>
                 </div>
             </div>
 
-            <div className="message-preview">
-                <div className="message-label">Message to sign:</div>
-                <div className="message-content">
-                    {formatMessage(request.payload)}
+            <div className="tx-details">
+                <div className="tx-amount">
+                    <span className="amount-value">{parseFloat(asset.balance) || 0}</span>
+                    <span className="amount-unit">{asset.symbol}</span>
+                </div>
+                <div className="tx-details-row">
+                    <span className="text-secondary">Balance of</span>
+                    <span className="address-value">{truncateAddress(asset.address)}</span>
                 </div>
             </div>
 
-            {request.payload?.domain && (
-                <div className="message-meta">
+            <div className="message-meta">
+                <div className="meta-item">
+                    <span className="meta-label">Contract:</span>
+                    <span className="meta-value">{truncateAddress(asset.contract)}</span>
+                </div>
+                <div className="meta-item">
+                    <span className="meta-label">Symbol:</span>
+                    <span className="meta-value">{asset.symbol}</span>
+                </div>
+                {asset.name && (
                     <div className="meta-item">
-                        <span className="meta-label">Domain:</span>
-                        <span className="meta-value">{request.payload.domain}</span>
+                        <span className="meta-label">Name:</span>
+                        <span className="meta-value">{asset.name}</span>
                     </div>
-                    {request.payload.expiresAt && (
-                        <div className="meta-item">
-                            <span className="meta-label">Expires:</span>
-                            <span className="meta-value">
-                                {new Date(request.payload.expiresAt).toLocaleString()}
-                            </span>
-                        </div>
-                    )}
+                )}
+                <div className="meta-item">
+                    <span className="meta-label">Decimals:</span>
+                    <span className="meta-value">{asset.decimals}</span>
+                </div>
+                {asset.spec !== undefined && asset.spec !== null && (
+                    <div className="meta-item">
+                        <span className="meta-label">Spec:</span>
+                        <span className="meta-value">{String(asset.spec)}</span>
+                    </div>
+                )}
+            </div>
+
+            {alreadyTracked && (
+                <div className="approval-warning">
+                    <AlertIcon size={14} />
+                    <span>This token is already in your wallet</span>
                 </div>
             )}
 
             <div className="approval-warning">
                 <AlertIcon size={14} />
-                <span>Only sign messages from sites you trust</span>
+                <span>Name, symbol and icon are suggested by the site. Anyone can create a token</span>
             </div>
 
+            {error && <p className="text-sm text-error">{error}</p>}
+
             <div className="approval-actions">
                 <button
                     className="btn-reject"
@@ -158,34 +1227,51 @@ export function SignApproval({ request, onApprove, onReject }) {
                     onClick={handleApprove}
                     disabled={loading}
                 >
-                    {loading ? 'Signing...' : 'Sign'}
+                    {loading ? 'Adding...' : 'Add Token'}
                 </button>
             </div>
         </div>
     );
 }
 
+// Per-operation copy and effect on the public / encrypted balances
+const PRIVACY_OPERATIONS = {
+    shield: {
+        title: 'Shield Balance',
+        action: 'Shield',
+        publicDelta: -1,
+        encryptedDelta: 1,
+        notes: [
+            'The shielded amount is visible on-chain when it moves',
+            'Once shielded, your encrypted balance is hidden from others'
+        ]
+    },
+    unshield: {
+        title: 'Unshield Balance',
+        action: 'Unshield',
+        publicDelta: 1,
+        encryptedDelta: -1,
+        notes: [
+            'The unshielded amount becomes public and is visible on-chain'
+        ]
+    },
+    privateTransfer: {
+        title: 'Private Transfer',
+        action: 'Send Privately',
+        publicDelta: 0,
+        encryptedDelta: -1,
+        notes: [
+            'The amount is hidden; sender and recipient addresses remain visible',
+            'The recipient must claim the transfer before it reaches their balance'
+        ]
+    }
+};
+
 /**
- * Transaction Approval Component
+ * Privacy Operation Approval Component (shield / unshield / private transfer)
  */
-export function TransactionApproval({ request, onApprove, onReject, mode = 'send' }) {
+export function PrivacyApproval({ request, onApprove, onReject }) {
     const [loading, setLoading] = useState(false);
-    const [fee, setFee] = useState(null);
-
-    // Fetch fee estimate
-    useEffect(() => {
-        const fetchFee = async () => {
-            try {
-                const est = await chrome.runtime.sendMessage({ type: 'GET_FEE_ESTIMATE' });
-                if (est && est.medium) {
-                    setFee(est.medium);
-                }
-            } catch (err) {
-                console.warn('Failed to fetch fee:', err);
-            }
-        };
-        fetchFee();
-    }, []);
 
     const handleApprove = async () => {
         setLoading(true);
@@ -196,56 +1282,62 @@ export function TransactionApproval({ request, onApprove, onReject, mode = 'send
         }
     };
 
-    const tx = request.transaction || {};
-    const amountOct = tx.amount ? (parseFloat(tx.amount) / 1000000).toFixed(6) : '0';
-    const isSend = mode === 'send';
+    const operation = PRIVACY_OPERATIONS[request.type];
+    const { amount = 0, to, balance } = request.privacy || {};
+
+    // The encrypted balance is never read before approval (that needs the private
+    // key on the node), so only its change is shown
+    const renderImpact = (label, current, delta, hiddenNote) => (
+        <div className="tx-details-row">
+            <span className="text-secondary">{label}</span>
+            <span>
+                {typeof current === 'number'
+                    ? `${current.toFixed(6)} -> ${(current + delta * amount).toFixed(6)} OCT`
+                    : (delta === 0 ? 'Unchanged' : `${delta > 0 ? '+' : '-'}${amount.toFixed(6)} OCT${hiddenNote || ''}`)}
+            </span>
+        </div>
+    );
 
     return (
         <div className="dapp-approval">
             <div className="dapp-approval-header">
                 <div className="dapp-icon tx-icon">
-                    <span>TX</span>
+                    <span>FHE</span>
                 </div>
                 <div className="dapp-info">
-                    <div className="dapp-title">{isSend ? 'Confirm Transaction' : 'Sign Transaction'}</div>
+                    <div className="dapp-title">{operation.title}</div>
                     <div className="dapp-origin">{request.origin}</div>
                 </div>
             </div>
 
             <div className="tx-details">
                 <div className="tx-amount">
-                    <span className="amount-value">{amountOct}</span>
+                    <span className="amount-value">{amount.toFixed(6)}</span>
                     <span className="amount-unit">OCT</span>
                 </div>
 
-                <div className="tx-flow">
-                    <div className="tx-address">
-                        <span className="address-label">From</span>
-                        <span className="address-value">{tx.from?.slice(0, 12)}...{tx.from?.slice(-8)}</span>
-                    </div>
-                    <div className="tx-arrow">-&gt;</div>
-                    <div className="tx-address">
-                        <span className="address-label">To</span>
-                        <span className="address-value">{tx.to_?.slice(0, 12)}...{tx.to_?.slice(-8)}</span>
-                    </div>
-                </div>
-
-                <div className="tx-details-row">
-                    <span className="text-secondary">Network Fee</span>
-                    <span>{fee ? `~${fee} OCT` : 'Validating...'}</span>
-                </div>
-
-                {tx.message && (
-                    <div className="tx-memo">
-                        <span className="memo-label">Memo:</span>
-                        <span className="memo-value">{tx.message}</span>
+                {to && (
+                    <div className="tx-details-row">
+                        <span className="text-secondary">Recipient</span>
+                        <span className="address-value">{truncateAddress(to)}</span>
                     </div>
                 )}
+                {renderImpact('Public balance', balance?.public, operation.publicDelta)}
+                {renderImpact('Encrypted balance', balance?.encrypted, operation.encryptedDelta, ' (current balance hidden until approved)')}
+            </div>
+
+            <div className="message-preview">
+                <div className="message-label">Privacy</div>
+                <ul className="privacy-notes">
+                    {operation.notes.map((note) => (
+                        <li key={note}>{note}</li>
+                    ))}
+                </ul>
             </div>
 
             <div className="approval-warning">
                 <AlertIcon size={14} />
-                <span>{isSend ? 'This action cannot be undone' : 'Signature will be shared with the site'}</span>
+                <span>Your private key is sent to the RPC node to perform this operation</span>
             </div>
 
             <div className="approval-actions">
@@ -261,7 +1353,7 @@ export function TransactionApproval({ request, onApprove, onReject, mode = 'send
                     onClick={handleApprove}
                     disabled={loading}
                 >
-                    {loading ? (isSend ? 'Sending...' : 'Signing...') : (isSend ? 'Confirm & Send' : 'Sign Only')}
+                    {loading ? 'Sending...' : operation.action}
                 </button>
             </div>
         </div>
@@ -306,27 +1398,85 @@ export function ConnectedSites({ connections, onDisconnect }) {
         </div>
     );
 }
+/**
+ * Group pending requests per origin (origins in order of their first request)
+ */
+function groupByOrigin(requests) {
+    const sorted = [...requests].sort((a, b) => a.timestamp - b.timestamp);
+    const origins = [...new Set(sorted.map(r => r.origin))];
+    return origins.flatMap(origin => sorted.filter(r => r.origin === origin));
+}
+
+/**
+ * Queue navigation bar (shown when more than one request is pending)
+ */
+function ApprovalQueueNav({ queue, index, onNavigate, onRejectOrigin, onRejectAll }) {
+    const current = queue[index];
+    const fromOrigin = queue.filter(r => r.origin === current.origin).length;
+    const multipleOrigins = fromOrigin < queue.length;
+
+    return (
+        <div className="approval-queue">
+            <div className="approval-queue-nav">
+                <button
+                    className="approval-queue-btn"
+                    onClick={() => onNavigate(index - 1)}
+                    disabled={index === 0}
+                >
+                    &lt;
+                </button>
+                <span className="approval-queue-count">
+                    Request {index + 1} of {queue.length}
+                </span>
+                <button
+                    className="approval-queue-btn"
+                    onClick={() => onNavigate(index + 1)}
+                    disabled={index === queue.length - 1}
+                >
+                    &gt;
+                </button>
+            </div>
+            <div className="approval-queue-actions">
+                {multipleOrigins && fromOrigin > 1 && (
+                    <button className="approval-queue-link" onClick={() => onRejectOrigin(current.origin)}>
+                        Reject {fromOrigin} from this site
+                    </button>
+                )}
+                <button className="approval-queue-link" onClick={onRejectAll}>
+                    Reject all
+                </button>
+            </div>
+        </div>
+    );
+}
+
 /**
  * Main Approval Screen Wrapper
+ * One window shows the whole queue; new requests are pushed in by the background.
  */
-export function DappApprovalScreen({ approvalId, sessionKey }) {
-    const [request, setRequest] = useState(null);
+export function DappApprovalScreen({ approvalId, sessionKey, wallets, activeAddress }) {
+    const [queue, setQueue] = useState([]);
+    const [currentId, setCurrentId] = useState(approvalId);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [confirmBlock, setConfirmBlock] = useState(false);
 
-    // Fetch request details
+    // Fetch pending requests (and refresh when the background queue changes)
     useEffect(() => {
-        const fetchRequest = async () => {
+        let loaded = false;
+
+        const fetchRequests = async () => {
             try {
-                // Get all pending approvals
                 const requests = await chrome.runtime.sendMessage({ type: 'GET_PENDING_APPROVALS' });
-                const found = requests.find(r => r.id === approvalId);
+                const grouped = groupByOrigin(requests || []);
 
-                if (found) {
-                    setRequest(found);
-                } else {
-                    setError('Request not found or expired');
+                if (grouped.length === 0) {
+                    // Queue drained (resolved elsewhere or expired)
+                    if (loaded) window.close();
+                    else setError('Request not found or expired');
                 }
+                setQueue(grouped);
+                loaded = true;
             } catch (err) {
                 setError('Failed to load request');
                 console.error(err);
@@ -334,55 +1484,191 @@ export function DappApprovalScreen({ approvalId, sessionKey }) {
                 setLoading(false);
             }
         };
-        fetchRequest();
-    }, [approvalId]);
 
-    const handleResolve = async (decision) => {
+        const onMessage = (message) => {
+            if (message?.type === 'APPROVALS_UPDATED') fetchRequests();
+        };
+
+        fetchRequests();
+        chrome.runtime.onMessage.addListener(onMessage);
+        return () => chrome.runtime.onMessage.removeListener(onMessage);
+    }, []);
+
+    const foundIndex = queue.findIndex(r => r.id === currentId);
+    const index = foundIndex === -1 ? 0 : foundIndex;
+    const request = queue[index];
+
+    const handleResolve = async (decision, result = null) => {
+        const id = request.id;
+        const remaining = queue.filter(r => r.id !== id);
+
         try {
             await chrome.runtime.sendMessage({
                 type: 'RESOLVE_APPROVAL',
                 data: {
-                    id: approvalId,
+                    id,
                     decision: decision, // 'approved' | 'rejected'
                     sessionKey: sessionKey, // PASS THE KEY!
-                    result: decision === 'approved' ? { allowed: true } : null
+                    result: decision === 'approved' ? (result || { allowed: true }) : null
                 }
             });
+        } catch (err) {
+            console.error('Failed to resolve:', err);
+        }
+
+        if (remaining.length === 0) {
             // Give a tiny buffer for message passing before killing the window
             setTimeout(() => window.close(), 100);
+            return;
+        }
+
+        // Move on to the next request in the queue
+        setQueue(remaining);
+        setCurrentId(remaining[Math.min(index, remaining.length - 1)].id);
+    };
+
+    const handleRejectAll = async (origin = null) => {
+        try {
+            await chrome.runtime.sendMessage({ type: 'REJECT_ALL_APPROVALS', data: { origin } });
         } catch (err) {
-            console.error('Failed to resolve:', err);
-            // Even if failed, try to close to avoid stuck popup
+            console.error('Failed to reject requests:', err);
+        }
+
+        const remaining = origin ? queue.filter(r => r.origin !== origin) : [];
+        if (remaining.length === 0) {
+            window.close();
+            return;
+        }
+        setQueue(remaining);
+        setCurrentId(remaining[0].id);
+    };
+
+    const handleBlockSite = async () => {
+        const origin = request.origin;
+        setConfirmBlock(false);
+        try {
+            // Rejects every queued request from the site; the queue refresh follows
+            await chrome.runtime.sendMessage({ type: 'POPUP_REQUEST', action: 'blockOrigin', data: { origin } });
+        } catch (err) {
+            console.error('Failed to block site:', err);
+        }
+
+        const remaining = queue.filter(r => r.origin !== origin);
+        if (remaining.length === 0) {
             window.close();
+            return;
         }
+        setQueue(remaining);
+        setCurrentId(remaining[0].id);
     };
 
     if (loading) return <div className="dapp-loading">Loading request...</div>;
     if (error) return <div className="dapp-error">{error}</div>;
     if (!request) return null;
 
+    return (
+        <>
+            {queue.length > 1 && (
+                <ApprovalQueueNav
+                    queue={queue}
+                    index={index}
+                    onNavigate={(i) => setCurrentId(queue[i].id)}
+                    onRejectOrigin={(origin) => handleRejectAll(origin)}
+                    onRejectAll={() => handleRejectAll()}
+                />
+            )}
+            <ApprovalView
+                key={request.id}
+                request={request}
+                wallets={wallets}
+                activeAddress={activeAddress}
+                onResolve={handleResolve}
+            />
+            <div className="approval-block-site">
+                <button className="approval-queue-link" onClick={() => setConfirmBlock(true)}>
+                    Block this site
+                </button>
+            </div>
+            <ConfirmModal
+                isOpen={confirmBlock}
+                title="Block this site?"
+                message={`${request.origin} will be disconnected and all of its requests rejected. You can unblock it in Settings > Connected Sites.`}
+                confirmText="Block"
+                isDanger
+                onConfirm={handleBlockSite}
+                onCancel={() => setConfirmBlock(false)}
+            />
+        </>
+    );
+}
+
+/**
+ * Render the approval component for one request
+ */
+function ApprovalView({ request, wallets, activeAddress, onResolve }) {
     // Render appropriate component
-    if (request.type === 'connect') {
+    if (request.type === 'connect' || request.type === 'requestPermissions') {
+        // Site info travels in params
+        const reqWithSite = {
+            ...request,
+            title: request.params?.title,
+            favicon: request.params?.favicon,
+            embeddedIn: request.params?.embeddedIn,
+            frameChain: request.params?.frameChain
+        };
+        const ApprovalComponent = request.type === 'connect' ? ConnectApproval : PermissionsApproval;
         return (
-            <ConnectApproval
-                request={request}
-                onApprove={() => handleResolve('approved')}
-                onReject={() => handleResolve('rejected')}
+            <ApprovalComponent
+                request={reqWithSite}
+                wallets={wallets}
+                activeAddress={activeAddress}
+                onApprove={(result) => onResolve('approved', result)}
+                onReject={() => onResolve('rejected')}
+            />
+        );
+    }
+
+    if (request.type === 'signIn' && parseSignInMessage(request.params?.payload?.message)) {
+        const reqWithPayload = {
+            ...request,
+            payload: request.params?.payload,
+            claimedDomain: request.params?.claimedDomain
+        };
+        return (
+            <SignInApproval
+                request={reqWithPayload}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
             />
         );
     }
 
-    if (request.type === 'signMessage') {
+    if (request.type === 'signMessage' || request.type === 'signIn') {
         // Ensure payload is accessible at top level for the component
         const reqWithPayload = {
             ...request,
-            payload: request.params?.payload || request.params
+            payload: request.params?.payload || request.params,
+            claimedDomain: request.params?.claimedDomain
         };
         return (
             <SignApproval
                 request={reqWithPayload}
-                onApprove={() => handleResolve('approved')}
-                onReject={() => handleResolve('rejected')}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
+            />
+        );
+    }
+
+    if (request.type === 'signTypedData') {
+        const reqWithData = {
+            ...request,
+            typedData: request.params?.typedData
+        };
+        return (
+            <TypedDataApproval
+                request={reqWithData}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
             />
         );
     }
@@ -391,14 +1677,80 @@ export function DappApprovalScreen({ approvalId, sessionKey }) {
         // Map params to expected prop format if needed
         const reqWithTx = {
             ...request,
-            transaction: request.params.transaction || request.params
+            transaction: { ...(request.params.transaction || request.params), from: request.address }
         };
         return (
             <TransactionApproval
                 request={reqWithTx}
+                wallets={wallets}
                 mode={request.type === 'sendTransaction' ? 'send' : 'sign'}
-                onApprove={() => handleResolve('approved')}
-                onReject={() => handleResolve('rejected')}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
+            />
+        );
+    }
+
+    if (request.type === 'callContract') {
+        return (
+            <ContractCallApproval
+                request={{ ...request, call: request.params }}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
+            />
+        );
+    }
+
+    if (request.type === 'decrypt') {
+        return (
+            <DecryptApproval
+                request={request}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
+            />
+        );
+    }
+
+    if (request.type === 'switchNetwork') {
+        return (
+            <SwitchNetworkApproval
+                request={request}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
+            />
+        );
+    }
+
+    if (request.type === 'watchAsset') {
+        return (
+            <WatchAssetApproval
+                request={{ ...request, asset: request.params }}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
+            />
+        );
+    }
+
+    if (request.type === 'shield' || request.type === 'unshield' || request.type === 'privateTransfer') {
+        return (
+            <PrivacyApproval
+                request={{ ...request, privacy: request.params }}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
+            />
+        );
+    }
+
+    if (request.type === 'signAllTransactions' || request.type === 'sendTransactions') {
+        const reqWithTxs = {
+            ...request,
+            transactions: request.params?.transactions || []
+        };
+        return (
+            <BatchTransactionApproval
+                request={reqWithTxs}
+                mode={request.type === 'sendTransactions' ? 'send' : 'sign'}
+                onApprove={() => onResolve('approved')}
+                onReject={() => onResolve('rejected')}
             />
         );
     }
@@ -0,0 +1,73 @@
+/**
+ * Phishing Warning Page
+ * Full-page warning shown in place of a flagged site that tried to use the wallet
+ */
+
+import { useState } from 'react';
+import './PhishingWarning.css';
+import { AlertIcon } from '../shared/Icons';
+import { describePhishingReason, getHostname } from '../../utils/phishing';
+import { popupRequest } from '../../utils/popupRequest';
+
+export function PhishingWarning({ origin, reason, match, href }) {
+    const [showDetails, setShowDetails] = useState(false);
+    const [error, setError] = useState('');
+
+    // Close this tab; the flagged page is no longer in it
+    const handleLeave = () => {
+        chrome.tabs.getCurrent((tab) => {
+            if (tab) chrome.tabs.remove(tab.id);
+            else window.close();
+        });
+    };
+
+    const handleContinue = async () => {
+        try {
+            await popupRequest('setOriginTrust', { site: origin, list: 'allow' });
+
+            // Only return to a page of the flagged origin
+            const target = href && new URL(href).origin === origin ? href : origin;
+            window.location.replace(target);
+        } catch (err) {
+            setError(err.message || 'Failed to trust this site');
+        }
+    };
+
+    return (
+        <div className="phishing-warning">
+            <div className="phishing-warning-content">
+                <div className="phishing-warning-icon">
+                    <AlertIcon size={48} />
+                </div>
+                <h1 className="phishing-warning-title">Deceptive site ahead</h1>
+                <p className="phishing-warning-origin">{getHostname(origin) || origin}</p>
+                <p className="phishing-warning-reason">{describePhishingReason(reason, match)}.</p>
+                <p className="phishing-warning-text">
+                    Qiubit blocked this site from connecting to your wallet. Phishing sites imitate
+                    real apps to trick you into approving transactions or revealing your recovery phrase.
+                </p>
+
+                <button className="btn btn-primary btn-lg" onClick={handleLeave}>
+                    Back to safety
+                </button>
+
+                {showDetails ? (
+                    <div className="phishing-warning-details">
+                        <p>
+                            If you are sure this site is safe, you can add it to your allow list.
+                            You can remove it later in Settings &gt; Site Protection.
+                        </p>
+                        {error && <p className="text-sm text-error">{error}</p>}
+                        <button className="phishing-warning-link" onClick={handleContinue}>
+                            I understand the risk, trust this site
+                        </button>
+                    </div>
+                ) : (
+                    <button className="phishing-warning-link" onClick={() => setShowDetails(true)}>
+                        Details
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
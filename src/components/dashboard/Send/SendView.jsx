@@ -8,6 +8,8 @@ import { getRpcClient } from '../../../utils/rpc';
 import { saveTxHistorySecure as addToTxHistory } from '../../../utils/storageSecure';
 import { keyringService } from '../../../services/KeyringService';
 import { ocs01Manager } from '../../../services/OCS01TokenService';
+import { nonceManager } from '../../../services/NonceManager';
+import { toMicroUnits } from '../../../utils/otx1';
 import { getFriendlyErrorMessage } from '../../../utils/errorMessages';
 import {
     ChevronLeftIcon,
@@ -252,16 +254,8 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
 
             const rpcClient = getRpcClient();
 
-            // Get fresh nonce
-            const data = await rpcClient.getBalance(wallet.address);
-            let currentNonce = data.nonce;
-
-            // Check for pending transactions
-            const staged = await rpcClient.getStagedTransactions();
-            const ourStaged = staged.filter(tx => tx.from === wallet.address);
-            const maxNonce = ourStaged.length > 0
-                ? Math.max(currentNonce, ...ourStaged.map(tx => parseInt(tx.nonce)))
-                : currentNonce;
+            // Next nonce, counting transactions still pending from this wallet or a dApp
+            const nonce = selectedToken.isNative ? await nonceManager.reserveNonce(wallet.address) : null;
 
             let result;
 
@@ -271,19 +265,23 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
 
             const sendPromise = (async () => {
                 if (selectedToken.isNative) {
-                    const tx = await keyringService.signTransaction(wallet.address, {
-                        to: recipient,
-                        amount: parseFloat(amount),
-                        nonce: maxNonce + 1,
-                        message: null,
-                        fee: fee
-                    });
-                    // Note: rpcClient.sendTransaction has 0 timeout (infinite), but we race it here.
-                    return await rpcClient.sendTransaction(tx);
+                    try {
+                        const tx = await keyringService.signTransaction(wallet.address, {
+                            to: recipient,
+                            amount,
+                            nonce,
+                            message: null,
+                            fee: fee
+                        });
+                        // Note: rpcClient.sendTransaction has 0 timeout (infinite), but we race it here.
+                        return await rpcClient.sendTransaction(tx);
+                    } catch (err) {
+                        await nonceManager.releaseNonce(wallet.address, nonce);
+                        throw err;
+                    }
                 } else if (selectedToken.isOCS01) {
                     const contract = ocs01Manager.getContract(selectedToken.contractAddress);
-                    const amountRaw = Math.floor(parseFloat(amount) * 1_000_000);
-                    const callResult = await contract.transfer(recipient, amountRaw, wallet.address);
+                    const callResult = await contract.transfer(recipient, toMicroUnits(amount), wallet.address);
                     if (!callResult.success) throw new Error(callResult.error || 'Contract transfer failed');
                     return { txHash: callResult.txHash };
                 }
@@ -297,7 +295,7 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
                 try {
                     const stagingCheck = await rpcClient.getStagedTransactions().catch(() => []);
                     const foundInMempool = stagingCheck.find(tx =>
-                        tx.from === wallet.address && parseInt(tx.nonce) === (maxNonce + 1)
+                        tx.from === wallet.address && parseInt(tx.nonce) === nonce
                     );
 
                     if (foundInMempool) {
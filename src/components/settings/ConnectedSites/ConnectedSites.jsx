@@ -0,0 +1,323 @@
+/**
+ * Connected Sites Component
+ * Lists connected dApps, what each one can access and the requests it made
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { ChevronLeftIcon, GlobeIcon } from '../../shared/Icons';
+import { AccountList } from '../../dapp/DappApproval';
+import { ConfirmModal } from '../../shared/ConfirmModal';
+import { PERMISSION_INFO, CONNECTION_DURATIONS } from '../../../utils/dappPermissions';
+import { truncateAddress } from '../../../utils/crypto';
+import { popupRequest } from '../../../utils/popupRequest';
+import './ConnectedSites.css';
+
+const formatTime = (timestamp) => (timestamp
+    ? new Date(timestamp).toLocaleString(undefined, {
+        hour: '2-digit',
+        minute: '2-digit',
+        day: 'numeric',
+        month: 'short'
+    })
+    : 'Never');
+
+const formatExpiry = (conn) => {
+    if (conn.duration === CONNECTION_DURATIONS.SESSION) return 'Until the wallet locks';
+    return conn.expiresAt ? `Expires ${formatTime(conn.expiresAt)}` : 'Never expires';
+};
+
+/**
+ * Requests a site made, newest first
+ */
+function SiteActivity({ origin }) {
+    const [activity, setActivity] = useState(null);
+
+    useEffect(() => {
+        popupRequest('getSiteActivity', { origin })
+            .then((result) => setActivity(result || []))
+            .catch(() => setActivity([]));
+    }, [origin]);
+
+    if (!activity) return <p className="text-secondary text-sm">Loading...</p>;
+    if (activity.length === 0) return <p className="text-secondary text-sm">No requests yet</p>;
+
+    return (
+        <div className="connected-site-activity">
+            {activity.map((entry, index) => (
+                <div key={index} className="connected-site-activity-item">
+                    <span className="connected-site-activity-method">{entry.method}</span>
+                    <span className={`connected-site-activity-status status-${entry.status}`}>{entry.status}</span>
+                    <span className="connected-site-activity-time">{formatTime(entry.timestamp)}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export function ConnectedSites({ wallets = [], onBack }) {
+    const [connections, setConnections] = useState([]);
+    const [blocked, setBlocked] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editing, setEditing] = useState(null); // origin being edited
+    const [selected, setSelected] = useState([]);
+    const [showActivity, setShowActivity] = useState(null); // origin whose history is open
+    const [confirmDisconnectAll, setConfirmDisconnectAll] = useState(false);
+    const [error, setError] = useState('');
+    const [settings, setSettings] = useState({ reapproveAfterLock: false, blockCrossOriginFrames: false });
+
+    const loadConnections = useCallback(async () => {
+        try {
+            const result = await popupRequest('getConnections');
+            setConnections((result || []).filter(c => c.connected));
+            setBlocked((result || []).filter(c => c.blocked));
+        } catch (err) {
+            console.error('Failed to load connections:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadConnections();
+    }, [loadConnections]);
+
+    useEffect(() => {
+        popupRequest('getConnectionSettings')
+            .then((stored) => stored && setSettings(prev => ({ ...prev, ...stored })))
+            .catch(() => {});
+    }, []);
+
+    const handleToggleSetting = async (key) => {
+        const next = !settings[key];
+        setSettings(prev => ({ ...prev, [key]: next }));
+        try {
+            await popupRequest('setConnectionSettings', { [key]: next });
+        } catch (err) {
+            console.error('Failed to save connection settings:', err);
+            setSettings(prev => ({ ...prev, [key]: !next }));
+        }
+    };
+
+    const getBoundAccounts = (conn) =>
+        (Array.isArray(conn.accounts) && conn.accounts.length > 0) ? conn.accounts : [conn.address];
+
+    const getWalletName = (address) => {
+        const index = wallets.findIndex(w => w.address === address);
+        if (index === -1) return truncateAddress(address);
+        return wallets[index].name || `Wallet ${index + 1}`;
+    };
+
+    const handleEdit = (conn) => {
+        setError('');
+        setEditing(conn.origin);
+        setSelected(getBoundAccounts(conn));
+    };
+
+    const handleSave = async () => {
+        try {
+            await popupRequest('setConnectionAccounts', { origin: editing, accounts: selected });
+            setEditing(null);
+            await loadConnections();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDisconnect = async (origin) => {
+        try {
+            await popupRequest('disconnectOrigin', { origin });
+            if (editing === origin) setEditing(null);
+            await loadConnections();
+        } catch (err) {
+            console.error('Failed to disconnect:', err);
+        }
+    };
+
+    const handleDisconnectAll = async () => {
+        setConfirmDisconnectAll(false);
+        try {
+            await popupRequest('disconnectAll');
+            setEditing(null);
+            await loadConnections();
+        } catch (err) {
+            console.error('Failed to disconnect all:', err);
+        }
+    };
+
+    return (
+        <div className="animate-fade-in">
+            <header className="wallet-header">
+                <div className="flex items-center gap-md">
+                    <button className="header-icon-btn" onClick={onBack}>
+                        <ChevronLeftIcon size={20} />
+                    </button>
+                    <span className="text-lg font-semibold">Connected Sites</span>
+                </div>
+                {connections.length > 0 && (
+                    <button className="btn btn-secondary btn-sm" onClick={() => setConfirmDisconnectAll(true)}>
+                        Disconnect All
+                    </button>
+                )}
+            </header>
+
+            <div className="wallet-content">
+                <div className="connected-sites-setting">
+                    <div>
+                        <div className="text-sm font-medium">Require approval after lock</div>
+                        <div className="text-xs text-secondary">Sites must connect again each time the wallet locks</div>
+                    </div>
+                    <div
+                        className={`settings-toggle ${settings.reapproveAfterLock ? 'active' : ''}`}
+                        role="switch"
+                        aria-checked={settings.reapproveAfterLock}
+                        onClick={() => handleToggleSetting('reapproveAfterLock')}
+                    />
+                </div>
+
+                <div className="connected-sites-setting">
+                    <div>
+                        <div className="text-sm font-medium">Block embedded sites</div>
+                        <div className="text-xs text-secondary">Refuse requests from frames embedded in a different site</div>
+                    </div>
+                    <div
+                        className={`settings-toggle ${settings.blockCrossOriginFrames ? 'active' : ''}`}
+                        role="switch"
+                        aria-checked={settings.blockCrossOriginFrames}
+                        onClick={() => handleToggleSetting('blockCrossOriginFrames')}
+                    />
+                </div>
+
+                {loading ? (
+                    <p className="text-secondary text-sm">Loading...</p>
+                ) : connections.length === 0 ? (
+                    <p className="text-secondary text-sm">No connected sites</p>
+                ) : (
+                    <div className="connected-site-list">
+                        {connections.map((conn) => (
+                            <div key={conn.origin} className="connected-site-card">
+                                <div className="connected-site-header">
+                                    <div className="connected-site-icon">
+                                        {conn.favicon ? (
+                                            <img src={conn.favicon} alt="" onError={(e) => e.target.style.display = 'none'} />
+                                        ) : (
+                                            <GlobeIcon size={20} />
+                                        )}
+                                    </div>
+                                    <div className="connected-site-info">
+                                        <div className="connected-site-title">{conn.title || conn.origin}</div>
+                                        <div className="connected-site-origin">{conn.origin}</div>
+                                        {conn.embeddedIn && (
+                                            <div className="connected-site-origin">Embedded in {conn.embeddedIn}</div>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {editing === conn.origin ? (
+                                    <>
+                                        <AccountList
+                                            wallets={wallets}
+                                            selected={selected}
+                                            onToggle={(address) => setSelected(prev =>
+                                                prev.includes(address) ? prev.filter(a => a !== address) : [...prev, address]
+                                            )}
+                                        />
+                                        {error && <p className="text-sm connected-site-error">{error}</p>}
+                                        <div className="connected-site-actions">
+                                            <button className="btn btn-secondary btn-sm" onClick={() => setEditing(null)}>
+                                                Cancel
+                                            </button>
+                                            <button
+                                                className="btn btn-primary btn-sm"
+                                                onClick={handleSave}
+                                                disabled={selected.length === 0}
+                                            >
+                                                Save
+                                            </button>
+                                        </div>
+                                    </>
+                                ) : (
+                                    <>
+                                        <div className="connected-site-accounts">
+                                            {getBoundAccounts(conn).map((address) => (
+                                                <span
+                                                    key={address}
+                                                    className={`connected-site-account ${address === conn.address ? 'active' : ''}`}
+                                                    title={address === conn.address ? 'Account the site currently sees' : undefined}
+                                                >
+                                                    {getWalletName(address)}
+                                                </span>
+                                            ))}
+                                        </div>
+
+                                        <div className="connected-site-permissions">
+                                            {conn.permissions.map((permission) => (
+                                                <span key={permission} className="connected-site-permission">
+                                                    {PERMISSION_INFO[permission]?.label || permission}
+                                                </span>
+                                            ))}
+                                        </div>
+
+                                        <div className="connected-site-meta">
+                                            <span>Connected {formatTime(conn.connectedAt)}</span>
+                                            <span>Last used {formatTime(conn.lastUsedAt)}</span>
+                                            <span>{formatExpiry(conn)}</span>
+                                        </div>
+
+                                        {showActivity === conn.origin && <SiteActivity origin={conn.origin} />}
+
+                                        <div className="connected-site-actions">
+                                            <button
+                                                className="btn btn-secondary btn-sm"
+                                                onClick={() => setShowActivity(showActivity === conn.origin ? null : conn.origin)}
+                                            >
+                                                {showActivity === conn.origin ? 'Hide Activity' : 'Activity'}
+                                            </button>
+                                            {wallets.length > 1 && (
+                                                <button className="btn btn-secondary btn-sm" onClick={() => handleEdit(conn)}>
+                                                    Accounts
+                                                </button>
+                                            )}
+                                            <button className="btn btn-secondary btn-sm" onClick={() => handleDisconnect(conn.origin)}>
+                                                Disconnect
+                                            </button>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {blocked.length > 0 && (
+                    <div className="settings-section">
+                        <div className="settings-section-title">Blocked</div>
+                        <div className="connected-site-list">
+                            {blocked.map((conn) => (
+                                <div key={conn.origin} className="connected-site-card connected-site-blocked">
+                                    <div className="connected-site-info">
+                                        <div className="connected-site-title">{conn.title || conn.origin}</div>
+                                        <div className="connected-site-origin">{conn.origin}</div>
+                                    </div>
+                                    {/* Removing the denied entry lets the site ask to connect again */}
+                                    <button className="btn btn-secondary btn-sm" onClick={() => handleDisconnect(conn.origin)}>
+                                        Unblock
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            <ConfirmModal
+                isOpen={confirmDisconnectAll}
+                title="Disconnect all sites?"
+                message={`${connections.length} site(s) will lose access to your accounts and need to connect again.`}
+                confirmText="Disconnect All"
+                isDanger
+                onConfirm={handleDisconnectAll}
+                onCancel={() => setConfirmDisconnectAll(false)}
+            />
+        </div>
+    );
+}
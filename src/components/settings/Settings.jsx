@@ -17,7 +17,8 @@ import {
     CopyIcon,
     CheckIcon,
     LockIcon,
-    AlertIcon
+    AlertIcon,
+    ShieldIcon
 } from '../shared/Icons';
 import { truncateAddress } from '../../utils/crypto';
 import {
@@ -26,12 +27,14 @@ import {
     exportWalletSecure as exportWallet
 } from '../../utils/storageSecure';
 import { NetworkSwitcher } from './NetworkSwitcher/NetworkSwitcher';
+import { ConnectedSites } from './ConnectedSites/ConnectedSites';
+import { SiteProtection } from './SiteProtection/SiteProtection';
 import { keyringService } from '../../services/KeyringService';
 import { calculatePasswordStrength } from '../../utils/validation';
 import { ConfirmModal } from '../shared/ConfirmModal';
 
-export function SettingsScreen({ wallet, settings, password, onUpdateSettings, onDisconnect, onLock, onBack, onPasswordChange }) {
-    const [view, setView] = useState('main'); // 'main' | 'network' | 'export' | 'recovery-phrase' | 'change-password'
+export function SettingsScreen({ wallet, wallets, settings, password, onUpdateSettings, onDisconnect, onLock, onBack, onPasswordChange }) {
+    const [view, setView] = useState('main'); // 'main' | 'network' | 'connected-sites' | 'site-protection' | 'export' | 'recovery-phrase' | 'change-password'
     const [showPrivateKey, setShowPrivateKey] = useState(false);
     const [copied, setCopied] = useState('');
     const [showDisconnectModal, setShowDisconnectModal] = useState(false);
@@ -76,6 +79,19 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
         );
     }
 
+    if (view === 'connected-sites') {
+        return (
+            <ConnectedSites
+                wallets={wallets}
+                onBack={() => setView('main')}
+            />
+        );
+    }
+
+    if (view === 'site-protection') {
+        return <SiteProtection onBack={() => setView('main')} />;
+    }
+
     if (view === 'rpc') {
         return (
             <NetworkSettings
@@ -192,12 +208,34 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
                         <ChevronRightIcon size={18} className="text-tertiary" />
                     </div>
 
+                    <div className="settings-item" onClick={() => setView('connected-sites')}>
+                        <div className="flex items-center gap-md">
+                            <GlobeIcon size={20} />
+                            <div className="settings-item-content">
+                                <div className="settings-item-label">Connected Sites</div>
+                                <div className="settings-item-value">Manage dApp access</div>
+                            </div>
+                        </div>
+                        <ChevronRightIcon size={18} className="text-tertiary" />
+                    </div>
+
                 </div>
 
                 {/* Security */}
                 <div className="settings-section">
                     <div className="settings-section-title">Security</div>
 
+                    <div className="settings-item" onClick={() => setView('site-protection')}>
+                        <div className="flex items-center gap-md">
+                            <ShieldIcon size={20} />
+                            <div className="settings-item-content">
+                                <div className="settings-item-label">Site Protection</div>
+                                <div className="settings-item-value">Phishing allow and block lists</div>
+                            </div>
+                        </div>
+                        <ChevronRightIcon size={18} className="text-tertiary" />
+                    </div>
+
                     <div className="settings-item" onClick={() => setView('change-password')}>
                         <div className="flex items-center gap-md">
                             <LockIcon size={20} />
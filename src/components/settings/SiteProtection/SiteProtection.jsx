@@ -0,0 +1,151 @@
+/**
+ * Site Protection Component
+ * User allow/block lists applied on top of the phishing protection lists,
+ * plus the large-transaction warning shown in dApp approvals
+ */
+
+import { useState, useEffect } from 'react';
+import { ChevronLeftIcon, CloseIcon } from '../../shared/Icons';
+import { normalizeHostEntry } from '../../../utils/phishing';
+import { popupRequest } from '../../../utils/popupRequest';
+import './SiteProtection.css';
+
+// Share of the available balance above which a dApp transaction is flagged (0 = off)
+const LARGE_TX_OPTIONS = [0, 25, 50, 75];
+
+function SiteList({ title, description, sites, onRemove }) {
+    return (
+        <div className="settings-section">
+            <div className="settings-section-title">{title}</div>
+            <p className="text-secondary text-sm site-protection-hint">{description}</p>
+            {sites.length === 0 ? (
+                <p className="text-tertiary text-sm">No sites</p>
+            ) : (
+                <div className="site-protection-list">
+                    {sites.map((site) => (
+                        <div key={site} className="site-protection-item">
+                            <span className="site-protection-host">{site}</span>
+                            <button className="header-icon-btn" onClick={() => onRemove(site)} title="Remove">
+                                <CloseIcon size={16} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export function SiteProtection({ onBack }) {
+    const [lists, setLists] = useState({ allow: [], deny: [] });
+    const [site, setSite] = useState('');
+    const [error, setError] = useState('');
+    const [largeTxPercent, setLargeTxPercent] = useState(null);
+
+    useEffect(() => {
+        popupRequest('getOriginLists')
+            .then((result) => result && setLists(result))
+            .catch((err) => console.error('Failed to load site lists:', err));
+        popupRequest('getTxPreviewSettings')
+            .then((result) => setLargeTxPercent(result?.largeTxPercent ?? null))
+            .catch((err) => console.error('Failed to load transaction settings:', err));
+    }, []);
+
+    const handleLargeTxPercent = async (percent) => {
+        try {
+            const result = await popupRequest('setTxPreviewSettings', { largeTxPercent: percent });
+            setLargeTxPercent(result.largeTxPercent);
+        } catch (err) {
+            console.error('Failed to save transaction settings:', err);
+        }
+    };
+
+    const updateSite = async (entry, list) => {
+        setError('');
+        try {
+            setLists(await popupRequest('setOriginTrust', { site: entry, list }));
+            return true;
+        } catch (err) {
+            setError(err.message);
+            return false;
+        }
+    };
+
+    const handleAdd = async (list) => {
+        if (!normalizeHostEntry(site)) {
+            setError('Enter a domain such as example.com');
+            return;
+        }
+        if (await updateSite(site, list)) setSite('');
+    };
+
+    return (
+        <div className="animate-fade-in">
+            <header className="wallet-header">
+                <div className="flex items-center gap-md">
+                    <button className="header-icon-btn" onClick={onBack}>
+                        <ChevronLeftIcon size={20} />
+                    </button>
+                    <span className="text-lg font-semibold">Site Protection</span>
+                </div>
+            </header>
+
+            <div className="wallet-content">
+                <p className="text-secondary text-sm site-protection-hint">
+                    Known phishing sites and look-alikes of Octra apps are blocked before they can
+                    request a connection. Your own entries take priority.
+                </p>
+
+                <div className="form-group">
+                    <input
+                        type="text"
+                        className="input"
+                        value={site}
+                        onChange={(e) => { setSite(e.target.value); setError(''); }}
+                        placeholder="example.com"
+                    />
+                </div>
+                {error && <p className="text-error text-sm site-protection-hint">{error}</p>}
+                <div className="site-protection-actions">
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleAdd('allow')} disabled={!site.trim()}>
+                        Always Allow
+                    </button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleAdd('deny')} disabled={!site.trim()}>
+                        Always Block
+                    </button>
+                </div>
+
+                <SiteList
+                    title="Allowed"
+                    description="Never flagged, even if they look like another site"
+                    sites={lists.allow}
+                    onRemove={(entry) => updateSite(entry, null)}
+                />
+                <SiteList
+                    title="Blocked"
+                    description="Cannot connect or send requests to your wallet"
+                    sites={lists.deny}
+                    onRemove={(entry) => updateSite(entry, null)}
+                />
+
+                <div className="settings-section">
+                    <div className="settings-section-title">Large Transactions</div>
+                    <p className="text-secondary text-sm site-protection-hint">
+                        Warn when a dApp transaction spends more than this share of your available balance
+                    </p>
+                    <div className="site-protection-actions">
+                        {LARGE_TX_OPTIONS.map((percent) => (
+                            <button
+                                key={percent}
+                                className={`btn btn-sm ${largeTxPercent === percent ? 'btn-primary' : 'btn-secondary'}`}
+                                onClick={() => handleLargeTxPercent(percent)}
+                            >
+                                {percent === 0 ? 'Off' : `${percent}%`}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
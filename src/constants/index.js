@@ -23,12 +23,14 @@ export const STORAGE_KEYS = {
 export const NETWORKS = {
     TESTNET: {
         id: 'testnet',
+        chainId: 1,
         name: 'Octra Testnet',
         rpcUrl: import.meta.env.VITE_TESTNET_RPC_URL || '',
         explorer: 'https://explorer.testnet.octra.network',
     },
     MAINNET: {
         id: 'mainnet',
+        chainId: 2,
         name: 'Octra Mainnet',
         rpcUrl: import.meta.env.VITE_RPC_URL || 'https://octra.network',
         explorer: 'https://explorer.octra.network',
@@ -7,26 +7,59 @@
 (function () {
     'use strict';
 
+    // Private channel to the inpage script. Its port is handed over once, right
+    // after inpage.js runs, together with a one-time token, so other page scripts
+    // cannot forge wallet responses.
+    const channel = new MessageChannel();
+    const channelToken = crypto.randomUUID();
+    const port = channel.port1;
+
+    // Request ids are random UUIDs (see inpage.js)
+    const REQUEST_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
     // Inject inpage script into the page
     function injectScript() {
         try {
             const script = document.createElement('script');
             script.src = chrome.runtime.getURL('inpage.js');
-            script.onload = () => script.remove();
+            script.dataset.icon = chrome.runtime.getURL('icons/icon-128.png'); // For provider discovery
+            script.dataset.channel = channelToken; // Read and removed by inpage.js as it starts
+            script.onload = () => {
+                script.remove();
+                connectChannel();
+            };
             (document.head || document.documentElement).appendChild(script);
         } catch (error) {
             console.error('[ContentScript] Failed to inject inpage script:', error);
         }
     }
 
+    // Hand the inpage script its end of the channel. onload fires in the same task
+    // that ran inpage.js, so this handshake is queued before any later page script
+    // can post one (see inpage.js for what it does and does not protect against).
+    function connectChannel() {
+        const targetOrigin = /^https?:/.test(window.location.protocol) ? window.location.origin : '*';
+        window.postMessage({ type: 'OCTRA_CHANNEL', token: channelToken }, targetOrigin, [channel.port2]);
+    }
+
+    function isValidRequest(data) {
+        return Boolean(data)
+            && typeof data === 'object'
+            && data.type === 'OCTRA_REQUEST'
+            && REQUEST_ID.test(data.id)
+            && typeof data.method === 'string'
+            && (data.params === undefined || (typeof data.params === 'object'));
+    }
+
     // Inject as early as possible
     injectScript();
 
-    // Listen for messages from inpage script
-    window.addEventListener('message', async (event) => {
-        // Only accept messages from the same window
-        if (event.source !== window) return;
-        if (!event.data || event.data.type !== 'OCTRA_REQUEST') return;
+    // Requests only arrive over the private channel; window messages are ignored
+    port.onmessage = async (event) => {
+        if (!isValidRequest(event.data)) {
+            console.warn('[ContentScript] Dropped malformed request');
+            return;
+        }
 
         const { id, method, params } = event.data;
 
@@ -38,40 +71,48 @@
                 method,
                 params,
                 origin: window.location.origin,
+                frame: getFrame(),
                 title: document.title,
                 favicon: getFavicon()
             });
 
             // Send response back to inpage script
-            window.postMessage({
+            port.postMessage({
                 type: 'OCTRA_RESPONSE',
                 id,
                 result: response.result,
                 error: response.error
-            }, '*');
+            });
 
         } catch (error) {
-            window.postMessage({
+            port.postMessage({
                 type: 'OCTRA_RESPONSE',
                 id,
                 error: { code: 4900, message: error.message || 'Internal error' }
-            }, '*');
+            });
         }
-    });
+    };
 
     // Listen for events from background (e.g., account changed)
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        if (message.type === 'OCTRA_EVENT') {
-            window.postMessage({
+        // Events are broadcast to every tab; only forward those addressed to this origin
+        if (message.type === 'OCTRA_EVENT' && message.origin === window.location.origin) {
+            port.postMessage({
                 type: 'OCTRA_EVENT',
                 event: message.event,
                 data: message.data
-            }, '*');
+            });
         }
         sendResponse({ received: true });
         return true;
     });
 
+    // Origins of the frames embedding this one, from the parent up to the top-level page
+    function getFrame() {
+        if (window.top === window) return { ancestors: [] };
+        return { ancestors: Array.from(window.location.ancestorOrigins || []) };
+    }
+
     // Get favicon URL
     function getFavicon() {
         const link = document.querySelector("link[rel*='icon']");
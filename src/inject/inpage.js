@@ -7,53 +7,131 @@
 (function () {
     'use strict';
 
-    // Prevent duplicate injection
-    if (window.octra) {
+    // Prevent duplicate injection (other wallets may own window.octra)
+    if (window.qiubit && window.qiubit.isQiubit) {
         return;
     }
 
     const OSM_VERSION = 'OSM-1';
-    let requestId = 0;
+
+    // Discovery info (EIP-6963 style), icon URL is passed by the content script
+    const PROVIDER_INFO = Object.freeze({
+        uuid: crypto.randomUUID(),
+        name: 'Qiubit',
+        icon: (document.currentScript && document.currentScript.dataset.icon) || '',
+        rdns: 'io.qiubit.wallet'
+    });
+
+    // Provider error codes (EIP-1193 / JSON-RPC 2.0), mirrored from src/utils/providerRpc.js
+    const ERROR_CODES = Object.freeze({
+        USER_REJECTED: 4001,
+        UNAUTHORIZED: 4100,
+        UNSUPPORTED_METHOD: 4200,
+        DISCONNECTED: 4900,
+        CHAIN_DISCONNECTED: 4901,
+        LIMIT_EXCEEDED: -32005,
+        INVALID_REQUEST: -32600,
+        INVALID_PARAMS: -32602,
+        INTERNAL: -32603
+    });
+
+    /**
+     * Error thrown by every provider method: { code, message, data? }
+     */
+    class ProviderRpcError extends Error {
+        constructor(code, message, data) {
+            super(message);
+            this.name = 'ProviderRpcError';
+            this.code = code;
+            if (data !== undefined) this.data = data;
+        }
+
+        static from(error) {
+            if (error instanceof ProviderRpcError) return error;
+            if (error && Number.isInteger(error.code)) {
+                return new ProviderRpcError(error.code, error.message || 'Internal error', error.data);
+            }
+            return new ProviderRpcError(ERROR_CODES.INTERNAL, (error && error.message) || String(error));
+        }
+    }
+
+    // One-time token the content script uses to hand over the private channel.
+    // Read it synchronously and drop it from the DOM before page scripts run again.
+    const channelToken = document.currentScript ? document.currentScript.dataset.channel : null;
+    if (document.currentScript) delete document.currentScript.dataset.channel;
+
     const pendingRequests = new Map();
+    const queuedMessages = [];
+    let port = null;
+
+    // Take the channel handshake that carries the token. Events built with
+    // dispatchEvent are untrusted and ignored, so responses and events only count
+    // when the browser delivers them on the port.
+    // This capture listener hides the handshake from listeners added after this
+    // script ran. Limit: a script that ran in the page before this one can register
+    // its capture listener first (and so see the port) or read the token from the
+    // script element with a MutationObserver; no page-injected bridge can stop that.
+    function onChannelMessage(event) {
+        if (!event.isTrusted || event.source !== window || !event.data || event.data.type !== 'OCTRA_CHANNEL') return;
+        if (!channelToken || event.data.token !== channelToken) return;
+        event.stopImmediatePropagation();
+        if (port || event.ports.length !== 1) return;
+
+        port = event.ports[0];
+        port.onmessage = handlePortMessage;
+        queuedMessages.splice(0).forEach(message => port.postMessage(message));
+    }
+    window.addEventListener('message', onChannelMessage, true);
+
+    // Listen for responses and events from content script
+    function handlePortMessage(event) {
+        if (!event.isTrusted) return;
+        const data = event.data;
+        if (!data || typeof data !== 'object') return;
 
-    // Listen for responses from content script
-    window.addEventListener('message', (event) => {
-        if (event.source !== window) return;
-        if (event.data.type !== 'OCTRA_RESPONSE') return;
+        if (data.type === 'OCTRA_EVENT') {
+            if (typeof data.event === 'string') handleWalletEvent(data.event, data.data);
+            return;
+        }
+        if (data.type !== 'OCTRA_RESPONSE') return;
 
-        const { id, result, error } = event.data;
+        // Responses are only accepted for requests this provider sent
+        const { id, result, error } = data;
         const pending = pendingRequests.get(id);
 
         if (pending) {
             pendingRequests.delete(id);
+            clearTimeout(pending.timeout);
             if (error) {
-                pending.reject(error);
+                pending.reject(ProviderRpcError.from(error));
             } else {
                 pending.resolve(result);
             }
         }
-    });
+    }
 
     // Send request to content script
     function sendRequest(method, params = {}) {
         return new Promise((resolve, reject) => {
-            const id = ++requestId;
-            pendingRequests.set(id, { resolve, reject });
-
-            window.postMessage({
-                type: 'OCTRA_REQUEST',
-                id,
-                method,
-                params
-            }, '*');
+            // Unguessable ids so a response cannot be matched to a request by counting
+            const id = crypto.randomUUID();
 
             // Timeout after 5 minutes (for user approval)
-            setTimeout(() => {
+            const timeout = setTimeout(() => {
                 if (pendingRequests.has(id)) {
                     pendingRequests.delete(id);
-                    reject({ code: 4100, message: 'Request timeout' });
+                    reject(new ProviderRpcError(ERROR_CODES.DISCONNECTED, 'Request timeout'));
                 }
             }, 300000);
+            pendingRequests.set(id, { resolve, reject, timeout });
+
+            const message = { type: 'OCTRA_REQUEST', id, method, params };
+            if (port) {
+                port.postMessage(message);
+            } else {
+                // The channel arrives right after this script loads
+                queuedMessages.push(message);
+            }
         });
     }
 
@@ -71,12 +149,59 @@
         });
     }
 
+    /**
+     * Apply a wallet-side event to provider state and re-emit it to the dApp
+     */
+    function handleWalletEvent(event, data) {
+        // Events only concern pages that connected in this session
+        if (!provider.isConnected) return;
+
+        switch (event) {
+            case 'accountsChanged': {
+                const accounts = Array.isArray(data) ? data : [];
+                const nextAddress = accounts[0] || null;
+                if (nextAddress === provider.selectedAddress) return;
+                provider.selectedAddress = nextAddress;
+                emit('accountsChanged', accounts);
+                break;
+            }
+
+            case 'networkChanged':
+                if (!data || data.networkId === provider.networkId) return;
+                provider.networkId = data.networkId;
+                provider.chainId = data.chainId;
+                emit('networkChanged', data);
+                break;
+
+            case 'disconnect':
+                provider.isConnected = false;
+                provider.selectedAddress = null;
+                emit('disconnect', data);
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Validate a batch and default each sender to the selected account
+     */
+    function toBatch(transactions, from) {
+        if (!Array.isArray(transactions) || transactions.length === 0) {
+            throw new ProviderRpcError(ERROR_CODES.INVALID_PARAMS, 'Expected a non-empty array of transactions');
+        }
+        return transactions.map(tx => ({ ...tx, from: tx.from || from }));
+    }
+
     // Create provider object
     const provider = {
         isOctraWallet: true,
         isQiubit: true,
         version: '1.0.0',
         name: 'Qiubit',
+        errorCodes: ERROR_CODES,
+        ProviderRpcError,
 
         // State
         isConnected: false,
@@ -92,7 +217,8 @@
                 appInfo: options.appInfo || {
                     name: document.title,
                     url: window.location.origin
-                }
+                },
+                permissions: options.permissions
             });
 
             if (result.accounts && result.accounts.length > 0) {
@@ -111,9 +237,56 @@
          */
         async disconnect() {
             await sendRequest('disconnect');
-            this.isConnected = false;
-            this.selectedAddress = null;
-            emit('disconnect');
+
+            // The wallet's own disconnect event may have reached this tab first
+            if (this.isConnected) {
+                this.isConnected = false;
+                this.selectedAddress = null;
+                emit('disconnect');
+            }
+        },
+
+        /**
+         * Request additional permissions (connects first if needed)
+         */
+        async requestPermissions(permissions) {
+            // The wallet connects first when needed, in a single prompt
+            const wasConnected = this.isConnected;
+            const granted = await sendRequest('requestPermissions', { permissions });
+
+            if (!wasConnected && granted.includes('viewAddress')) {
+                const accounts = await sendRequest('getAccounts');
+                const network = await sendRequest('getNetwork', {});
+                this.isConnected = true;
+                this.selectedAddress = accounts[0] || null;
+                this.networkId = network.networkId;
+                this.chainId = network.chainId;
+                emit('connect', { accounts });
+            }
+
+            return granted;
+        },
+
+        /**
+         * Get permissions granted to this site
+         */
+        async getPermissions() {
+            return sendRequest('getPermissions');
+        },
+
+        /**
+         * Revoke permissions (revoking address access disconnects)
+         */
+        async revokePermissions(permissions) {
+            const remaining = await sendRequest('revokePermissions', { permissions });
+
+            if (this.isConnected && remaining.length === 0) {
+                this.isConnected = false;
+                this.selectedAddress = null;
+                emit('disconnect');
+            }
+
+            return remaining;
         },
 
         /**
@@ -131,7 +304,7 @@
          */
         async getPublicKey() {
             if (!this.isConnected) {
-                throw { code: 4100, message: 'Not connected' };
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
             }
             return sendRequest('getPublicKey');
         },
@@ -143,12 +316,43 @@
             return sendRequest('getBalance', { address: address || this.selectedAddress });
         },
 
+        /**
+         * Get the wallet's active network
+         */
+        async getNetwork() {
+            return sendRequest('getNetwork', {});
+        },
+
+        /**
+         * Ask the wallet to switch networks ({ networkId } or { chainId })
+         */
+        async switchNetwork({ networkId, chainId } = {}) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            const network = await sendRequest('switchNetwork', { networkId, chainId });
+            // The networkChanged event follows; update now so callers see the new chain
+            handleWalletEvent('networkChanged', { networkId: network.networkId, chainId: network.chainId });
+            return network;
+        },
+
+        /**
+         * Get encrypted (private) balance
+         */
+        async getEncryptedBalance() {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+            return sendRequest('getEncryptedBalance', {});
+        },
+
         /**
          * Sign message (OSM-1)
          */
         async signMessage(messageOrPayload) {
             if (!this.isConnected) {
-                throw { code: 4100, message: 'Not connected' };
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
             }
 
             // Accept string or OSM-1 payload
@@ -176,12 +380,40 @@
             return sendRequest('signMessage', { payload });
         },
 
+        /**
+         * Sign-In-With-Octra (the wallet builds the message for this origin)
+         */
+        async signIn(options = {}) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('signIn', {
+                statement: options.statement,
+                uri: options.uri || window.location.href,
+                nonce: options.nonce,
+                expiresIn: options.expiresIn,
+                resources: options.resources
+            });
+        },
+
+        /**
+         * Sign structured typed data (OSM-2)
+         */
+        async signTypedData(typedData) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('signTypedData', { typedData });
+        },
+
         /**
          * Sign transaction (OTX-1)
          */
         async signTransaction(txParams) {
             if (!this.isConnected) {
-                throw { code: 4100, message: 'Not connected' };
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
             }
 
             return sendRequest('signTransaction', {
@@ -195,7 +427,7 @@
          */
         async sendTransaction(txParams) {
             if (!this.isConnected) {
-                throw { code: 4100, message: 'Not connected' };
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
             }
 
             return sendRequest('sendTransaction', {
@@ -205,15 +437,173 @@
         },
 
         /**
-         * Generic request method
+         * Call an OCS01 view method (read-only, no approval)
+         */
+        async callView({ contract, method, params = [] } = {}) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('callView', { contract, method, params });
+        },
+
+        /**
+         * Call an OCS01 contract method (signed, requires approval)
+         */
+        async callContract({ contract, method, params = [] } = {}) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('callContract', { contract, method, params });
+        },
+
+        /**
+         * Sign several transactions with one approval (no broadcast)
+         */
+        async signAllTransactions(transactions) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('signAllTransactions', {
+                transactions: toBatch(transactions, this.selectedAddress)
+            });
+        },
+
+        /**
+         * Send several transactions with one approval (broadcast in order)
+         */
+        async sendTransactions(transactions) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('sendTransactions', {
+                transactions: toBatch(transactions, this.selectedAddress)
+            });
+        },
+
+        /**
+         * Suggest an OCS01 token for the wallet to track (requires approval)
+         */
+        async watchAsset({ contract, symbol, name, decimals, icon } = {}) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('watchAsset', { contract, symbol, name, decimals, icon });
+        },
+
+        /**
+         * Move public balance into the encrypted balance (requires approval)
+         */
+        async shield({ amount } = {}) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('shield', { amount });
+        },
+
+        /**
+         * Move encrypted balance back to the public balance (requires approval)
+         */
+        async unshield({ amount } = {}) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('unshield', { amount });
+        },
+
+        /**
+         * Send from the encrypted balance (requires approval)
+         */
+        async privateTransfer({ to, amount } = {}) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('privateTransfer', { to, amount });
+        },
+
+        /**
+         * List private transfers waiting to be claimed by the connected account
+         */
+        async getPendingPrivateTransfers() {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('getPendingPrivateTransfers', {});
+        },
+
+        /**
+         * Public key other parties use to encrypt to the connected account
+         */
+        async getEncryptionPublicKey() {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('getEncryptionPublicKey', {});
+        },
+
+        /**
+         * Encrypt a string to an Octra address (or an encryption public key)
+         */
+        async encrypt({ to, encryptionPublicKey, data } = {}) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('encrypt', { to, encryptionPublicKey, data });
+        },
+
+        /**
+         * Decrypt an envelope addressed to the connected account (requires approval)
+         */
+        async decrypt(envelope) {
+            if (!this.isConnected) {
+                throw new ProviderRpcError(ERROR_CODES.UNAUTHORIZED, 'Not connected');
+            }
+
+            return sendRequest('decrypt', { envelope });
+        },
+
+        /**
+         * Generic request method (EIP-1193): request({ method, params })
+         * Rejects with a ProviderRpcError carrying one of provider.errorCodes
          */
         async request(args) {
+            if (!args || typeof args !== 'object' || typeof args.method !== 'string') {
+                throw new ProviderRpcError(ERROR_CODES.INVALID_REQUEST, 'Expected { method, params }');
+            }
             const { method, params } = args;
+            if (params !== undefined && (params === null || typeof params !== 'object')) {
+                throw new ProviderRpcError(ERROR_CODES.INVALID_PARAMS, 'params must be an object or array');
+            }
+
+            try {
+                return await this._dispatch(method, params);
+            } catch (error) {
+                throw ProviderRpcError.from(error);
+            }
+        },
 
+        async _dispatch(method, params) {
             switch (method) {
-                case 'octra_requestAccounts':
-                    const connectResult = await this.connect();
+                case 'octra_requestAccounts': {
+                    const connectResult = await this.connect(params || {});
                     return connectResult.accounts;
+                }
+
+                case 'octra_connect':
+                    return this.connect(params || {});
+
+                case 'octra_disconnect':
+                    return this.disconnect();
 
                 case 'octra_accounts':
                     return this.getAccounts();
@@ -221,14 +611,86 @@
                 case 'octra_chainId':
                     return this.chainId;
 
+                case 'octra_networkId':
+                    return this.networkId;
+
+                case 'octra_getNetwork':
+                    return this.getNetwork();
+
+                case 'octra_switchNetwork':
+                    return this.switchNetwork(params);
+
+                case 'octra_getPublicKey':
+                    return this.getPublicKey();
+
+                case 'octra_getBalance':
+                    return this.getBalance(params?.address);
+
+                case 'octra_getEncryptedBalance':
+                    return this.getEncryptedBalance();
+
                 case 'octra_signMessage':
                     return this.signMessage(params);
 
+                case 'octra_signIn':
+                    return this.signIn(params);
+
+                case 'octra_signTypedData':
+                    return this.signTypedData(params?.typedData || params);
+
+                case 'octra_signTransaction':
+                    return this.signTransaction(params);
+
                 case 'octra_sendTransaction':
                     return this.sendTransaction(params);
 
+                case 'octra_callView':
+                    return this.callView(params);
+
+                case 'octra_callContract':
+                    return this.callContract(params);
+
+                case 'octra_signAllTransactions':
+                    return this.signAllTransactions(params?.transactions || params);
+
+                case 'octra_sendTransactions':
+                    return this.sendTransactions(params?.transactions || params);
+
+                case 'octra_watchAsset':
+                    return this.watchAsset(params);
+
+                case 'octra_shield':
+                    return this.shield(params);
+
+                case 'octra_unshield':
+                    return this.unshield(params);
+
+                case 'octra_privateTransfer':
+                    return this.privateTransfer(params);
+
+                case 'octra_getPendingPrivateTransfers':
+                    return this.getPendingPrivateTransfers();
+
+                case 'octra_getEncryptionPublicKey':
+                    return this.getEncryptionPublicKey();
+
+                case 'octra_encrypt':
+                    return this.encrypt(params);
+
+                case 'octra_decrypt':
+                    return this.decrypt(params?.envelope || params);
+
+                case 'octra_requestPermissions':
+                    return this.requestPermissions(params?.permissions || params);
+
+                case 'octra_getPermissions':
+                    return this.getPermissions();
+
+                case 'octra_revokePermissions':
+                    return this.revokePermissions(params?.permissions || params);
+
                 default:
-                    throw { code: 4200, message: `Method not supported: ${method}` };
+                    throw new ProviderRpcError(ERROR_CODES.UNSUPPORTED_METHOD, `Method not supported: ${method}`);
             }
         },
 
@@ -259,8 +721,20 @@
         }
     };
 
-    // Expose provider
-    window.octra = provider;
+    // Multi-wallet discovery: announce on load and whenever a dApp asks
+    function announceProvider() {
+        window.dispatchEvent(new CustomEvent('octra:announceProvider', {
+            detail: Object.freeze({ info: PROVIDER_INFO, provider })
+        }));
+    }
+
+    window.addEventListener('octra:requestProvider', announceProvider);
+    announceProvider();
+
+    // Legacy global: never overwrite another wallet's provider
+    if (!window.octra) {
+        window.octra = provider;
+    }
 
     // Also expose as qiubit for branding
     window.qiubit = provider;
@@ -15,6 +15,7 @@
 import nacl from 'tweetnacl';
 import { Buffer } from 'buffer';
 import { logActivity } from '../utils/activityLogger';
+import { buildTransaction, signTransaction, estimateFee, CONTRACT_CALL_OU } from '../utils/otx1';
 import { logInfo, logWarn, logError, logSecurity } from '../utils/logger';
 
 // Private state - NOT exported, completely isolated
@@ -224,7 +225,7 @@ class KeyringService {
      * Sign a transaction - THE CORE SECURE FUNCTION
      * 
      * SECURITY: Uses disposable buffers with immediate wiping
-     * REPLAY PROTECTION: Always fetches latest nonce from network
+     * REPLAY PROTECTION: Nonce comes from the caller (reserved via NonceManager)
      */
     async signTransaction(address, txParams) {
         if (!_isUnlocked) {
@@ -236,76 +237,30 @@ class KeyringService {
             throw new Error('No key found for this address');
         }
 
-        // Disposable buffers - will be wiped in finally block
+        // Disposable buffer - wiped in the finally block
         let tempPrivateKey = null;
-        let tempSecretKey = null;
-        let messageBytes = null;
-        let signature = null;
 
         try {
-            // Decode private key to temporary buffer
-            tempPrivateKey = base64ToUint8Array(keyData.privateKeyB64);
-
-            // Generate keypair from seed
-            const keyPair = nacl.sign.keyPair.fromSeed(tempPrivateKey);
-            tempSecretKey = keyPair.secretKey;
-
-            // Wipe the keypair's public key (we don't need it)
-            secureWipeAggressive(keyPair.publicKey);
-
-            // SECURITY: Validate nonce to prevent replay attacks
-            const providedNonce = parseInt(txParams.nonce);
-            if (isNaN(providedNonce) || providedNonce < 0) {
-                throw new Error('Invalid nonce provided');
-            }
-
-            // Create the transaction object
-            const μ = 1_000_000;
-            const amountRaw = Math.floor(txParams.amount * μ);
-            const timestamp = Date.now() / 1000;
-
-            const tx = {
+            // SECURITY: buildTransaction rejects missing or non-positive nonces (replay protection)
+            const tx = buildTransaction({
                 from: address,
-                to_: txParams.to,
-                amount: String(amountRaw),
-                nonce: providedNonce, // Use validated nonce
-                ou: txParams.fee ? String(Math.floor(txParams.fee * μ)) : '20000',
-                timestamp: timestamp
-            };
-
-            if (txParams.message) {
-                tx.message = txParams.message;
-            }
-
-            // Create signature payload
-            const payloadObj = {
-                from: tx.from,
-                to_: tx.to_,
-                amount: tx.amount,
-                nonce: tx.nonce,
-                ou: tx.ou,
-                timestamp: tx.timestamp
-            };
-
-            const signPayload = JSON.stringify(payloadObj);
-
-            // Sign the payload
-            messageBytes = new TextEncoder().encode(signPayload);
-            signature = nacl.sign.detached(messageBytes, tempSecretKey);
+                to: txParams.to,
+                amount: txParams.amount,
+                fee: txParams.fee ?? await estimateFee(txParams.amount),
+                nonce: txParams.nonce,
+                message: txParams.message
+            });
 
-            // Create the final transaction
-            const signedTx = {
-                ...tx,
-                signature: uint8ArrayToBase64(signature),
-                public_key: keyData.publicKeyB64
-            };
+            // Decode private key to temporary buffer and sign (OTX-1 wipes the derived secret key)
+            tempPrivateKey = base64ToUint8Array(keyData.privateKeyB64);
+            const signedTx = signTransaction(tx, tempPrivateKey);
 
             // Audit Log: Transaction signed
             logActivity('TRANSACTION_SIGNED', 'INFO', {
                 address,
                 to: txParams.to,
                 amount: txParams.amount,
-                nonce: providedNonce
+                nonce: tx.nonce
             }).catch(() => { });
 
             return signedTx;
@@ -314,9 +269,6 @@ class KeyringService {
             // CRITICAL: Always wipe temporary key material
             // This happens even if an error occurs
             tempPrivateKey = secureWipeAggressive(tempPrivateKey);
-            tempSecretKey = secureWipeAggressive(tempSecretKey);
-            messageBytes = secureWipeAggressive(messageBytes);
-            signature = secureWipeAggressive(signature);
         }
     }
 
@@ -377,42 +329,28 @@ class KeyringService {
         }
 
         let tempPrivateKey = null;
-        let tempSecretKey = null;
-        let messageBytes = null;
-        let signature = null;
 
         try {
-            tempPrivateKey = base64ToUint8Array(keyData.privateKeyB64);
-            const keyPair = nacl.sign.keyPair.fromSeed(tempPrivateKey);
-            tempSecretKey = keyPair.secretKey;
-
-            secureWipeAggressive(keyPair.publicKey);
-
-            // Create the signing payload for contract calls
-            const signPayload = JSON.stringify({
+            // Contract calls sign a zero-value OTX-1 transaction to the contract
+            const tx = buildTransaction({
                 from: address,
-                to_: callParams.contract,
-                amount: "0",
+                to: callParams.contract,
+                amountRaw: '0',
+                ou: CONTRACT_CALL_OU,
                 nonce: callParams.nonce,
-                ou: "1",
                 timestamp: callParams.timestamp
             });
 
-            messageBytes = new TextEncoder().encode(signPayload);
-            signature = nacl.sign.detached(messageBytes, tempSecretKey);
+            tempPrivateKey = base64ToUint8Array(keyData.privateKeyB64);
+            const signed = signTransaction(tx, tempPrivateKey);
 
-            const result = {
-                signature: uint8ArrayToBase64(signature),
+            return {
+                signature: signed.signature,
                 publicKey: keyData.publicKeyB64
             };
 
-            return result;
-
         } finally {
             tempPrivateKey = secureWipeAggressive(tempPrivateKey);
-            tempSecretKey = secureWipeAggressive(tempSecretKey);
-            messageBytes = secureWipeAggressive(messageBytes);
-            signature = secureWipeAggressive(signature);
         }
     }
 
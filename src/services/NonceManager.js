@@ -0,0 +1,158 @@
+import { getRpcClient } from '../utils/rpc';
+
+/**
+ * Nonce Manager
+ * Hands out increasing nonces per address across the popup and the background.
+ *
+ * Nonces issued locally are remembered until the network confirms them, so two
+ * quick sends never reuse the same nonce. Reservations live in session storage
+ * (shared by every extension page and the service worker) and are reconciled
+ * against the confirmed nonce and the staging pool on every reservation.
+ */
+
+const STORAGE_KEY = 'nonce_reservations';
+
+// A reservation missing from the staging pool is given up after this long
+// (the transaction was rejected or never broadcast)
+const RESERVATION_TTL_MS = 2 * 60 * 1000;
+
+export class NonceManager {
+    constructor(rpcClient = getRpcClient()) {
+        this.rpcClient = rpcClient;
+        this._memory = {}; // Fallback store outside the extension (tests, dev server)
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * Run fn exclusively for an address. Web Locks are shared by all
+     * extension contexts; the promise queue covers environments without them.
+     */
+    _withLock(address, fn) {
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(`nonce:${address}`, fn);
+        }
+        const run = this._queue.then(fn, fn);
+        this._queue = run.catch(() => { });
+        return run;
+    }
+
+    async _load() {
+        if (typeof chrome !== 'undefined' && chrome.storage?.session) {
+            const data = await chrome.storage.session.get(STORAGE_KEY);
+            return data[STORAGE_KEY] || {};
+        }
+        return this._memory;
+    }
+
+    async _save(reservations) {
+        if (typeof chrome !== 'undefined' && chrome.storage?.session) {
+            await chrome.storage.session.set({ [STORAGE_KEY]: reservations });
+        } else {
+            this._memory = reservations;
+        }
+    }
+
+    /**
+     * Confirmed nonce and staged nonces of an address, or null if the node is unreachable
+     */
+    async _fetchNetworkState(address) {
+        try {
+            const [account, staged] = await Promise.all([
+                this.rpcClient.getBalance(address),
+                this.rpcClient.getStagedTransactions()
+            ]);
+            return {
+                confirmed: account.nonce || 0,
+                staged: staged
+                    .filter(tx => tx.from === address)
+                    .map(tx => parseInt(tx.nonce))
+                    .filter(Number.isInteger)
+            };
+        } catch (error) {
+            console.warn('[NonceManager] Network state unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Drop reservations the network has confirmed or that were abandoned
+     */
+    _reconcile(entries, network, now) {
+        if (!network) return entries;
+        return entries.filter(entry =>
+            entry.nonce > network.confirmed
+            && (network.staged.includes(entry.nonce) || now - entry.issuedAt < RESERVATION_TTL_MS)
+        );
+    }
+
+    /**
+     * Reserve the next nonce for an address
+     * @returns {Promise<number>}
+     */
+    async reserveNonce(address) {
+        const [nonce] = await this.reserveNonces(address, 1);
+        return nonce;
+    }
+
+    /**
+     * Reserve a run of consecutive nonces for an address (e.g. for a batch)
+     * @returns {Promise<number[]>}
+     */
+    reserveNonces(address, count) {
+        return this._withLock(address, async () => {
+            const now = Date.now();
+            const network = await this._fetchNetworkState(address);
+            const reservations = await this._load();
+            const entries = this._reconcile(reservations[address] || [], network, now);
+
+            if (!network && entries.length === 0) {
+                throw new Error('Cannot determine nonce: network unavailable');
+            }
+
+            // Lowest free run above the confirmed nonce, so released nonces are
+            // reused instead of leaving a gap
+            const taken = new Set([...(network?.staged || []), ...entries.map(entry => entry.nonce)]);
+            let start = (network ? network.confirmed : Math.min(...taken) - 1) + 1;
+            const nonces = [];
+            while (nonces.length < count) {
+                const nonce = start + nonces.length;
+                if (taken.has(nonce)) {
+                    start = nonce + 1;
+                    nonces.length = 0;
+                } else {
+                    nonces.push(nonce);
+                }
+            }
+
+            reservations[address] = [...entries, ...nonces.map(nonce => ({ nonce, issuedAt: now }))];
+            await this._save(reservations);
+            return nonces;
+        });
+    }
+
+    /**
+     * Record a nonce chosen elsewhere (e.g. by a dApp) so it is not handed out again
+     */
+    trackNonce(address, nonce) {
+        return this._withLock(address, async () => {
+            const reservations = await this._load();
+            const entries = (reservations[address] || []).filter(entry => entry.nonce !== nonce);
+            reservations[address] = [...entries, { nonce, issuedAt: Date.now() }];
+            await this._save(reservations);
+            return nonce;
+        });
+    }
+
+    /**
+     * Give back a nonce whose transaction was never submitted
+     */
+    releaseNonce(address, nonce) {
+        return this._withLock(address, async () => {
+            const reservations = await this._load();
+            reservations[address] = (reservations[address] || []).filter(entry => entry.nonce !== nonce);
+            await this._save(reservations);
+        });
+    }
+}
+
+export const nonceManager = new NonceManager();
@@ -10,6 +10,7 @@
 
 import { getRpcClient } from '../utils/rpc';
 import { keyringService } from './KeyringService';
+import { nonceManager } from './NonceManager';
 
 // Well-known OCS01 contracts on Octra Network
 export const KNOWN_CONTRACTS = {
@@ -76,10 +77,10 @@ class OCS01Contract {
      * Uses /call-contract endpoint
      */
     async callMethod(method, params, callerAddress) {
+        let nonce = null;
         try {
-            // Get nonce
-            const balanceData = await this.rpcClient.getBalance(callerAddress);
-            const nonce = balanceData.nonce + 1;
+            // Get nonce (shared with every other signing path)
+            nonce = await nonceManager.reserveNonce(callerAddress);
             const timestamp = Date.now() / 1000;
 
             // Sign the contract call
@@ -110,12 +111,14 @@ class OCS01Contract {
                 };
             }
 
+            await nonceManager.releaseNonce(callerAddress, nonce);
             return {
                 success: false,
                 error: result.error || 'Contract call failed'
             };
         } catch (error) {
             console.error(`OCS01 callMethod error (${method}):`, error);
+            if (nonce !== null) await nonceManager.releaseNonce(callerAddress, nonce);
             return {
                 success: false,
                 error: error.message
@@ -243,6 +246,14 @@ class OCS01Manager {
         }
     }
 
+    /**
+     * Check whether a contract is already tracked for a user (known or custom)
+     */
+    isTracked(userAddress, contractAddress, network = 'testnet') {
+        return this.getKnownContracts(network).some(c => c.address === contractAddress)
+            || Boolean(this.userContracts.get(userAddress)?.has(contractAddress));
+    }
+
     /**
      * Add contract to user's list and persist
      */
@@ -251,7 +262,7 @@ class OCS01Manager {
             this.userContracts.set(userAddress, new Set());
         }
         this.userContracts.get(userAddress).add(contractAddress);
-        this.saveCustomTokens();
+        return this.saveCustomTokens();
     }
 
     async saveCustomTokens() {
@@ -17,11 +17,14 @@ import { getRpcClient } from '../utils/rpc';
 import { base64ToBuffer, bufferToBase64 } from '../utils/crypto';
 import {
     savePrivacyTransactionSecure,
+    queuePrivacyTransaction,
     getPrivacyBalanceCacheSecure,
     savePrivacyBalanceCacheSecure,
     clearPrivacyBalanceCacheSecure
 } from '../utils/storageSecure';
 import { keyringService } from './KeyringService';
+import { nonceManager } from './NonceManager';
+import { toMicroUnits } from '../utils/otx1';
 import nacl from 'tweetnacl';
 import { logInfo, logWarn, logError, logSensitive } from '../utils/logger';
 
@@ -267,31 +270,44 @@ class PrivacyService {
         }
     }
 
+    /**
+     * Record a privacy transaction in the encrypted log. Without a session password
+     * (dApp requests in the background) it is queued until the wallet is unlocked.
+     */
+    async logPrivacyTransaction(hash, type, details) {
+        if (this._password) {
+            await savePrivacyTransactionSecure(hash, type, details, this._password);
+        } else {
+            await queuePrivacyTransaction(hash, type, details);
+        }
+    }
+
     /**
      * Shield balance - Convert public balance to encrypted balance
      */
     async shieldBalance(address, amount) {
         if (!this._privateKey) throw new Error('Private key not set');
 
+        let nonce = null;
+        let submitted = false;
         try {
             const encData = await this.getEncryptedBalance(address);
-            const μ = 1_000_000;
-            const amountRaw = Math.floor(amount * μ);
-            const newEncryptedRaw = encData.encryptedBalanceRaw + amountRaw;
+            const amountRaw = toMicroUnits(amount);
+            const newEncryptedRaw = encData.encryptedBalanceRaw + Number(amountRaw);
 
             // Encrypt the new balance
             const encryptedValue = await encryptBalance(newEncryptedRaw, this._privateKey);
 
-            // Fetch current nonce to prevent replay
-            const walletData = await this.rpcClient.getBalance(address).catch(() => ({ nonce: 0 }));
+            // Next nonce, counting transactions still pending from this account
+            nonce = await nonceManager.reserveNonce(address);
 
             // Submit to network - Mainnet style (Required for https://octra.network)
             const data = {
                 address: address,
-                amount: String(amountRaw),
+                amount: amountRaw,
                 private_key: this.getExpandedPrivateKey(), // 64-byte key required
                 public_key: this._publicKey,
-                nonce: (walletData.nonce || 0) + 1,
+                nonce,
                 timestamp: Date.now() / 1000,
                 encrypted_data: encryptedValue
             };
@@ -302,7 +318,8 @@ class PrivacyService {
             const result = resultRpc.json || { error: resultRpc.text };
 
             if (resultRpc.ok && result.tx_hash) {
-                await savePrivacyTransactionSecure(result.tx_hash, 'shield', { amount }, this._password);
+                submitted = true;
+                await this.logPrivacyTransaction(result.tx_hash, 'shield', { amount });
                 // Invalidate cache since balance changed
                 if (this._password) {
                     await clearPrivacyBalanceCacheSecure(address, this._password);
@@ -312,6 +329,8 @@ class PrivacyService {
 
             throw new Error(result.error || resultRpc.text || 'Shield operation failed');
         } catch (error) {
+            // Give the nonce back unless the node accepted the transaction
+            if (nonce !== null && !submitted) await nonceManager.releaseNonce(address, nonce);
             logError('shieldBalance error:', error);
             throw error;
         }
@@ -323,25 +342,26 @@ class PrivacyService {
     async unshieldBalance(address, amount) {
         if (!this._privateKey) throw new Error('Private key not set');
 
+        let nonce = null;
+        let submitted = false;
         try {
             const encData = await this.getEncryptedBalance(address);
-            const μ = 1_000_000;
-            const amountRaw = Math.floor(amount * μ);
+            const amountRaw = toMicroUnits(amount);
 
-            if (encData.encryptedBalanceRaw < amountRaw) {
+            if (encData.encryptedBalanceRaw < Number(amountRaw)) {
                 throw new Error(`Insufficient encrypted balance. Available: ${encData.encryptedBalance} OCT`);
             }
 
-            const newEncryptedRaw = encData.encryptedBalanceRaw - amountRaw;
+            const newEncryptedRaw = encData.encryptedBalanceRaw - Number(amountRaw);
             const encryptedValue = await encryptBalance(newEncryptedRaw, this._privateKey);
-            const walletData = await this.rpcClient.getBalance(address).catch(() => ({ nonce: 0 }));
+            nonce = await nonceManager.reserveNonce(address);
 
             const data = {
                 address: address,
-                amount: String(amountRaw),
+                amount: amountRaw,
                 private_key: this.getExpandedPrivateKey(), // 64-byte key for Mainnet
                 public_key: this._publicKey,
-                nonce: (walletData.nonce || 0) + 1,
+                nonce,
                 timestamp: Date.now() / 1000,
                 encrypted_data: encryptedValue
             };
@@ -352,7 +372,8 @@ class PrivacyService {
             const result = resultRpc.json || { error: resultRpc.text };
 
             if (resultRpc.ok && result.tx_hash) {
-                await savePrivacyTransactionSecure(result.tx_hash, 'unshield', { amount }, this._password);
+                submitted = true;
+                await this.logPrivacyTransaction(result.tx_hash, 'unshield', { amount });
                 // Invalidate cache since balance changed
                 if (this._password) {
                     await clearPrivacyBalanceCacheSecure(address, this._password);
@@ -362,6 +383,8 @@ class PrivacyService {
 
             throw new Error(result.error || resultRpc.text || 'Unshield operation failed');
         } catch (error) {
+            // Give the nonce back unless the node accepted the transaction
+            if (nonce !== null && !submitted) await nonceManager.releaseNonce(address, nonce);
             logError('unshieldBalance error:', error);
             throw error;
         }
@@ -402,6 +425,8 @@ class PrivacyService {
     async privacyTransfer(from, to, amount) {
         if (!this._privateKey) throw new Error('Private key not set');
 
+        let nonce = null;
+        let submitted = false;
         try {
             const addrInfo = await this.getAddressInfo(to);
             if (!addrInfo || !addrInfo.has_public_key) {
@@ -411,18 +436,17 @@ class PrivacyService {
             const toPublicKey = await this.getRecipientPublicKey(to);
             if (!toPublicKey) throw new Error('Cannot get recipient public key');
 
-            const μ = 1_000_000;
-            const amountRaw = Math.floor(amount * μ);
-            const walletData = await this.rpcClient.getBalance(from).catch(() => ({ nonce: 0 }));
+            const amountRaw = toMicroUnits(amount);
+            nonce = await nonceManager.reserveNonce(from);
 
             const data = {
                 from: from,
                 to: to,
-                amount: String(amountRaw),
+                amount: amountRaw,
                 from_private_key: this.getExpandedPrivateKey(), // 64-byte key
                 from_public_key: this._publicKey,
                 to_public_key: toPublicKey,
-                nonce: (walletData.nonce || 0) + 1,
+                nonce,
                 timestamp: Date.now() / 1000
             };
 
@@ -432,7 +456,8 @@ class PrivacyService {
             const result = resultRpc.json || { error: resultRpc.text };
 
             if (resultRpc.ok && result.tx_hash) {
-                await savePrivacyTransactionSecure(result.tx_hash, 'private', { amount, to }, this._password);
+                submitted = true;
+                await this.logPrivacyTransaction(result.tx_hash, 'private', { amount, to });
                 // Invalidate sender's cache
                 if (this._password) {
                     await clearPrivacyBalanceCacheSecure(from, this._password);
@@ -442,6 +467,8 @@ class PrivacyService {
 
             throw new Error(result.error || resultRpc.text || 'Privacy transfer failed');
         } catch (error) {
+            // Give the nonce back unless the node accepted the transaction
+            if (nonce !== null && !submitted) await nonceManager.releaseNonce(from, nonce);
             logError('privacyTransfer error:', error);
             throw error;
         }
@@ -482,15 +509,17 @@ class PrivacyService {
     async claimPrivateTransfer(address, transferId) {
         if (!this._privateKey) throw new Error('Private key not set');
 
+        let nonce = null;
+        let submitted = false;
         try {
-            const walletData = await this.rpcClient.getBalance(address).catch(() => ({ nonce: 0 }));
+            nonce = await nonceManager.reserveNonce(address);
 
             const data = {
                 recipient_address: address,
                 private_key: this.getExpandedPrivateKey(), // 64-byte key
                 public_key: this._publicKey,
                 transfer_id: transferId,
-                nonce: (walletData.nonce || 0) + 1,
+                nonce,
                 timestamp: Date.now() / 1000
             };
 
@@ -500,12 +529,15 @@ class PrivacyService {
             const result = resultRpc.json || { error: resultRpc.text };
 
             if (resultRpc.ok && result.tx_hash) {
-                await savePrivacyTransactionSecure(result.tx_hash, 'claim', { transferId }, this._password);
+                submitted = true;
+                await this.logPrivacyTransaction(result.tx_hash, 'claim', { transferId });
                 return { success: true, txHash: result.tx_hash };
             }
 
             throw new Error(result.error || resultRpc.text || 'Claim failed');
         } catch (error) {
+            // Give the nonce back unless the node accepted the transaction
+            if (nonce !== null && !submitted) await nonceManager.releaseNonce(address, nonce);
             logError('claimPrivateTransfer error:', error);
             throw error;
         }
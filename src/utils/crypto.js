@@ -391,100 +391,6 @@ export function verifySignature(message, signature, publicKeyB64) {
     return nacl.sign.detached.verify(messageBytes, signatureBytes, publicKey);
 }
 
-/**
- * Create and sign a transaction
- * Now supports dynamic 'ou' via RPC fee estimation
- */
-export async function createTransaction(from, to, amount, nonce, privateKeyB64, message = null, fee = null) {
-    // FIX: Use string manipulation to avoid floating point errors
-    // e.g. 0.29 * 1000000 = 289999.99... (WRONG)
-    // We want 0.29 -> 290000 (CORRECT)
-
-    // Convert to string and normalize
-    let amountStr = typeof amount === 'number' ? amount.toString() : amount;
-
-    // Handle scientific notation if small
-    if (amountStr.includes('e')) {
-        amountStr = Number(amount).toFixed(20);
-    }
-
-    const parts = amountStr.split('.');
-    let integerPart = parts[0];
-    let fractionalPart = parts[1] || '';
-
-    // Pad or truncate to 6 decimal places (micro-units)
-    if (fractionalPart.length > 6) {
-        fractionalPart = fractionalPart.substring(0, 6);
-    } else {
-        while (fractionalPart.length < 6) {
-            fractionalPart += '0';
-        }
-    }
-
-    // Combine to get raw micro-units
-    // Remove leading zeros from integer part unless it's just "0"
-    if (integerPart === '0') integerPart = '';
-
-    const amountRaw = integerPart + fractionalPart;
-    // If result is emptyString (0.000000), default to '0'. 
-    // But usually we send at least 1 micro unit.
-    const finalAmount = amountRaw.replace(/^0+/, '') || '0';
-
-    // Operation Unit (ou) calculation - micro-units based
-    // Connects to RPC if fee is not provided
-    const microUnits = 1_000_000;
-    let ouValue;
-
-    if (fee !== null) {
-        ouValue = String(Math.floor(parseFloat(fee) * microUnits));
-    } else {
-        try {
-            // Lazy load RPC client to avoid circular dependencies if any
-            const { getRpcClient } = await import('./rpc');
-            const rpc = getRpcClient();
-            const estimates = await rpc.getFeeEstimate(parseFloat(amount));
-            ouValue = String(Math.floor(estimates.medium * microUnits));
-        } catch (e) {
-            // Fallback: 1000 (0.001 OCT) for small tx, 2000 (0.002 OCT) for others
-            ouValue = parseFloat(amount) < 0.001 ? '1000' : '2000';
-        }
-    }
-
-    const tx = {
-        from,
-        to_: to,
-        amount: finalAmount, // String representation of integer micro-units
-        nonce: parseInt(nonce),
-        ou: ouValue,
-        timestamp: Date.now() / 1000
-    };
-
-    if (message) {
-        tx.message = message;
-    }
-
-    // Create signature payload (without message)
-    const signPayload = JSON.stringify({
-        from: tx.from,
-        to_: tx.to_,
-        amount: tx.amount,
-        nonce: tx.nonce,
-        ou: tx.ou,
-        timestamp: tx.timestamp
-    });
-
-    const signature = signMessage(signPayload, privateKeyB64);
-    const privateKey = base64ToBuffer(privateKeyB64);
-    const keyPair = nacl.sign.keyPair.fromSeed(privateKey);
-    const publicKeyB64 = bufferToBase64(keyPair.publicKey);
-
-    return {
-        ...tx,
-        signature,
-        public_key: publicKeyB64
-    };
-}
-
 /**
  * Validate Octra address
  */
@@ -615,3 +521,141 @@ export async function decryptSession(encryptedText, keyHex) {
         return null;
     }
 }
+
+// --- End-to-End Encryption ---
+
+// Envelope scheme: X25519 key agreement + XSalsa20-Poly1305 (nacl.box)
+export const ENCRYPTION_VERSION = 'x25519-xsalsa20-poly1305';
+
+// Curve25519 field prime and Edwards curve constant d
+const FIELD_P = (1n << 255n) - 19n;
+const EDWARDS_D = mod(-121665n * modPow(121666n, FIELD_P - 2n));
+
+function mod(a) {
+    const r = a % FIELD_P;
+    return r < 0n ? r + FIELD_P : r;
+}
+
+function modPow(base, exp) {
+    let result = 1n;
+    base = mod(base);
+    while (exp > 0n) {
+        if (exp & 1n) result = mod(result * base);
+        base = mod(base * base);
+        exp >>= 1n;
+    }
+    return result;
+}
+
+function bytesToBigInt(bytes) {
+    let value = 0n;
+    for (let i = bytes.length - 1; i >= 0; i--) value = (value << 8n) | BigInt(bytes[i]);
+    return value;
+}
+
+function bigIntToBytes(value) {
+    const bytes = new Uint8Array(32);
+    for (let i = 0; i < 32; i++) {
+        bytes[i] = Number(value & 0xffn);
+        value >>= 8n;
+    }
+    return bytes;
+}
+
+/**
+ * Convert an Ed25519 public key to the X25519 key used by nacl.box
+ * (Montgomery u = (1 + y) / (1 - y)). Returns null if the bytes are not a curve point.
+ */
+export function ed25519PublicKeyToX25519(publicKey) {
+    if (!publicKey || publicKey.length !== 32) return null;
+
+    const bytes = Uint8Array.from(publicKey);
+    bytes[31] &= 0x7f; // Drop the sign bit of x
+    const y = bytesToBigInt(bytes);
+    if (y >= FIELD_P || y === 1n) return null;
+
+    // x^2 = (y^2 - 1) / (d*y^2 + 1) must have a square root
+    const y2 = mod(y * y);
+    const x2 = mod((y2 - 1n) * modPow(EDWARDS_D * y2 + 1n, FIELD_P - 2n));
+    if (x2 !== 0n && modPow(x2, (FIELD_P - 1n) / 2n) !== 1n) return null;
+
+    return bigIntToBytes(mod((1n + y) * modPow(1n - y, FIELD_P - 2n)));
+}
+
+/**
+ * Convert an Ed25519 private key (32-byte seed or 64-byte secret key) to an X25519 secret key
+ */
+export function ed25519PrivateKeyToX25519(privateKey) {
+    const hash = nacl.hash(Uint8Array.from(privateKey).slice(0, 32));
+    const secretKey = hash.slice(0, 32);
+    secretKey[0] &= 248;
+    secretKey[31] &= 127;
+    secretKey[31] |= 64;
+    return secretKey;
+}
+
+/**
+ * Encryption public key (base64 X25519) for an Octra account's Ed25519 public key
+ */
+export function getEncryptionPublicKey(publicKeyB64) {
+    const key = ed25519PublicKeyToX25519(new Uint8Array(base64ToBuffer(publicKeyB64)));
+    return key ? bufferToBase64(key) : null;
+}
+
+/**
+ * Check the shape of an encryption envelope
+ */
+export function isValidEncryptionEnvelope(envelope) {
+    const isBase64 = (value) => typeof value === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+    return Boolean(envelope)
+        && envelope.version === ENCRYPTION_VERSION
+        && isBase64(envelope.nonce)
+        && isBase64(envelope.ephemPublicKey)
+        && isBase64(envelope.ciphertext);
+}
+
+/**
+ * Encrypt a UTF-8 string to an encryption public key with a one-time sender key.
+ * Returns { version, nonce, ephemPublicKey, ciphertext } (base64 fields).
+ */
+export function encryptForPublicKey(data, encryptionPublicKeyB64) {
+    const recipientKey = new Uint8Array(base64ToBuffer(encryptionPublicKeyB64));
+    if (recipientKey.length !== nacl.box.publicKeyLength) {
+        throw new Error('Invalid encryption public key');
+    }
+
+    const ephemeral = nacl.box.keyPair();
+    const nonce = nacl.randomBytes(nacl.box.nonceLength);
+    const ciphertext = nacl.box(new TextEncoder().encode(data), nonce, recipientKey, ephemeral.secretKey);
+
+    return {
+        version: ENCRYPTION_VERSION,
+        nonce: bufferToBase64(nonce),
+        ephemPublicKey: bufferToBase64(ephemeral.publicKey),
+        ciphertext: bufferToBase64(ciphertext)
+    };
+}
+
+/**
+ * Decrypt an envelope with an account's Ed25519 private key (base64).
+ * Returns the plaintext, or null if the envelope was not encrypted to this key.
+ */
+export function decryptEnvelope(envelope, privateKeyB64) {
+    if (!isValidEncryptionEnvelope(envelope)) return null;
+
+    const secretKey = ed25519PrivateKeyToX25519(base64ToBuffer(privateKeyB64));
+    const opened = nacl.box.open(
+        new Uint8Array(base64ToBuffer(envelope.ciphertext)),
+        new Uint8Array(base64ToBuffer(envelope.nonce)),
+        new Uint8Array(base64ToBuffer(envelope.ephemPublicKey)),
+        secretKey
+    );
+    secretKey.fill(0);
+    if (!opened) return null;
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(opened);
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * dApp Permission Model
+ * Granular, per-origin permissions stored with each dApp connection
+ */
+
+export const DAPP_PERMISSIONS = {
+    VIEW_ADDRESS: 'viewAddress',
+    VIEW_BALANCE: 'viewBalance',
+    VIEW_ENCRYPTED_BALANCE: 'viewEncryptedBalance',
+    SIGN: 'sign',
+    READ_CONTRACTS: 'readContracts',
+    PRIVACY: 'privacy',
+    DECRYPT: 'decrypt'
+};
+
+/**
+ * Display metadata for each permission (order = display order)
+ * - required: always granted while connected
+ * - default: pre-selected on the connect screen
+ */
+export const PERMISSION_INFO = {
+    [DAPP_PERMISSIONS.VIEW_ADDRESS]: {
+        label: 'View your public address',
+        required: true,
+        default: true
+    },
+    [DAPP_PERMISSIONS.VIEW_BALANCE]: {
+        label: 'View your public balance',
+        required: false,
+        default: true
+    },
+    [DAPP_PERMISSIONS.VIEW_ENCRYPTED_BALANCE]: {
+        label: 'View your encrypted balance',
+        description: 'Decrypting requires your private key to be sent to the RPC node',
+        required: false,
+        default: false
+    },
+    [DAPP_PERMISSIONS.SIGN]: {
+        label: 'Request signatures and transactions',
+        required: false,
+        default: true
+    },
+    [DAPP_PERMISSIONS.READ_CONTRACTS]: {
+        label: 'Read contracts as your account',
+        description: 'View calls to OCS01 contracts with your address as caller',
+        required: false,
+        default: true
+    },
+    [DAPP_PERMISSIONS.PRIVACY]: {
+        label: 'Request privacy operations',
+        description: 'Shield, unshield and private transfers; each one sends your private key to the RPC node',
+        required: false,
+        default: false
+    },
+    [DAPP_PERMISSIONS.DECRYPT]: {
+        label: 'Request decryption of messages',
+        description: 'Each message is only revealed after you approve it',
+        required: false,
+        default: false
+    }
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSION_INFO);
+
+export const REQUIRED_PERMISSIONS = ALL_PERMISSIONS.filter(p => PERMISSION_INFO[p].required);
+
+export const DEFAULT_PERMISSIONS = ALL_PERMISSIONS.filter(p => PERMISSION_INFO[p].default);
+
+/**
+ * How long a connection lasts. Session connections end when the wallet locks.
+ */
+export const CONNECTION_DURATIONS = {
+    SESSION: 'session',
+    DAY: 'day',
+    MONTH: 'month',
+    ALWAYS: 'always'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CONNECTION_DURATION_INFO = {
+    [CONNECTION_DURATIONS.SESSION]: { label: 'This session', ms: null },
+    [CONNECTION_DURATIONS.DAY]: { label: '1 day', ms: DAY_MS },
+    [CONNECTION_DURATIONS.MONTH]: { label: '30 days', ms: 30 * DAY_MS },
+    [CONNECTION_DURATIONS.ALWAYS]: { label: 'Always', ms: null }
+};
+
+export const DEFAULT_CONNECTION_DURATION = CONNECTION_DURATIONS.MONTH;
+
+/**
+ * Expiry timestamp for a new connection (null = no fixed expiry)
+ */
+export function getConnectionExpiry(duration, now = Date.now()) {
+    const ms = CONNECTION_DURATION_INFO[duration]?.ms;
+    return ms ? now + ms : null;
+}
+
+/**
+ * Check if a connection has passed its expiry time
+ */
+export function isConnectionExpired(connection, now = Date.now()) {
+    return Boolean(connection?.expiresAt) && now >= connection.expiresAt;
+}
+
+/**
+ * Check if a value is a known permission name
+ */
+export function isValidPermission(permission) {
+    return ALL_PERMISSIONS.includes(permission);
+}
+
+// Names stored by connections made before the permission model ({ permissions: ['sign', 'balance'] })
+const LEGACY_PERMISSIONS = {
+    balance: DAPP_PERMISSIONS.VIEW_BALANCE
+};
+
+/**
+ * Normalize a permission list: map legacy names, drop unknown entries and
+ * duplicates, add required permissions and keep canonical order
+ */
+export function normalizePermissions(permissions) {
+    const list = Array.isArray(permissions) ? permissions : [];
+    const requested = new Set(list.map(p => LEGACY_PERMISSIONS[p] || p));
+    REQUIRED_PERMISSIONS.forEach(p => requested.add(p));
+    return ALL_PERMISSIONS.filter(p => requested.has(p));
+}
+
+/**
+ * Get granted permissions of a stored connection.
+ * Connections without a permission list get the default grant.
+ */
+export function getConnectionPermissions(connection) {
+    if (!connection || !connection.connected || isConnectionExpired(connection)) return [];
+    if (!Array.isArray(connection.permissions)) return [...DEFAULT_PERMISSIONS];
+    return normalizePermissions(connection.permissions);
+}
+
+/**
+ * Check if a connection holds a permission
+ */
+export function hasPermission(connection, permission) {
+    return getConnectionPermissions(connection).includes(permission);
+}
+
+/**
+ * Describe the frame a request came from.
+ * ancestorOrigins run from the parent frame up to the top-level page (location.ancestorOrigins order).
+ */
+export function getFrameContext(origin, ancestorOrigins = []) {
+    const ancestors = Array.isArray(ancestorOrigins)
+        ? ancestorOrigins.filter(o => typeof o === 'string')
+        : [];
+    return {
+        origin,
+        ancestors,
+        topOrigin: ancestors.length > 0 ? ancestors[ancestors.length - 1] : origin,
+        crossOrigin: ancestors.some(o => o !== origin)
+    };
+}
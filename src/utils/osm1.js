@@ -1,8 +1,10 @@
 /**
  * OSM-1 Implementation for Octra Wallet
- * Octra Sign Message Standard
+ * Octra Sign Message Standard (Sign-In-With-Octra and OSM-2 typed data below)
  */
 
+import { ADDRESS_REGEX } from './validation';
+
 const OSM_VERSION = 'OSM-1';
 const MESSAGE_PREFIX = '\x19Octra Signed Message:\n';
 const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
@@ -150,43 +152,400 @@ export async function verifyOSM1Signature(response, nacl, options = {}) {
     }
 }
 
-// OTX-1: Transaction Format
-const MICRO_UNITS = 1_000_000;
+// Sign-In-With-Octra (SIWO)
+// A login message carried in the `message` field of an OSM-1 payload:
+//
+//   https://app.example wants you to sign in with your Octra account:
+//   oct...
+//
+//   <statement>
+//
+//   URI: https://app.example/login
+//   Version: 1
+//   Chain ID: 2
+//   Nonce: ...
+//   Issued At: 2025-01-01T00:00:00.000Z
+//   Expiration Time: 2025-01-01T00:10:00.000Z
+//   Resources:
+//   - https://app.example/terms
+const SIWO_VERSION = '1';
+const SIWO_HEADER_SUFFIX = ' wants you to sign in with your Octra account:';
+const SIWO_NONCE_REGEX = /^[A-Za-z0-9-]{8,}$/;
+const SIWO_FIELD_TAGS = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime'
+};
 
-export function octToMicro(oct) {
-    const str = oct.toString();
-    const parts = str.split('.');
-    let intPart = parts[0];
-    let fracPart = parts[1] || '';
-    fracPart = fracPart.padEnd(6, '0').substring(0, 6);
-    const result = (intPart + fracPart).replace(/^0+/, '') || '0';
-    return result;
+/**
+ * Format Sign-In-With-Octra fields as message text
+ */
+export function createSignInMessage(fields) {
+    const { domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime, resources } = fields;
+
+    const lines = [domain + SIWO_HEADER_SUFFIX, address, ''];
+    if (statement) {
+        lines.push(statement, '');
+    }
+    lines.push(`URI: ${uri}`, `Version: ${SIWO_VERSION}`);
+    if (chainId !== undefined) {
+        lines.push(`Chain ID: ${chainId}`);
+    }
+    lines.push(`Nonce: ${nonce}`, `Issued At: ${issuedAt}`);
+    if (expirationTime) {
+        lines.push(`Expiration Time: ${expirationTime}`);
+    }
+    if (resources && resources.length > 0) {
+        lines.push('Resources:', ...resources.map(r => `- ${r}`));
+    }
+    return lines.join('\n');
 }
 
-export function microToOct(micro) {
-    const num = BigInt(micro);
-    return Number(num) / MICRO_UNITS;
+/**
+ * Create an OSM-1 payload carrying a Sign-In-With-Octra message
+ */
+export function createSignInPayload(options) {
+    const { address, domain, uri, statement, chainId, nonce, expiresIn, resources } = options;
+
+    const payload = createOSM1Payload({ message: '', address, domain, chainId, expiresIn });
+    if (nonce) {
+        payload.nonce = nonce;
+    }
+
+    payload.message = createSignInMessage({
+        domain: payload.domain,
+        address,
+        statement,
+        uri: uri || payload.domain,
+        chainId,
+        nonce: payload.nonce,
+        issuedAt: new Date(payload.timestamp).toISOString(),
+        expirationTime: payload.expiresAt ? new Date(payload.expiresAt).toISOString() : undefined,
+        resources
+    });
+
+    return payload;
 }
 
 /**
- * Create transaction payload (OTX-1)
+ * Parse Sign-In-With-Octra message text, returns null if it is not one
  */
-export function createTransactionPayload(options) {
-    const { from, to, amount, nonce, message } = options;
+export function parseSignInMessage(message) {
+    if (typeof message !== 'string') return null;
 
-    const amountMicro = typeof amount === 'string' ? amount : octToMicro(amount);
-    const amountNum = typeof amount === 'string' ? microToOct(amount) : amount;
+    const lines = message.split('\n');
+    if (!lines[0].endsWith(SIWO_HEADER_SUFFIX) || lines[2] !== '') return null;
 
-    const payload = {
-        from,
-        to_: to,
-        amount: amountMicro,
-        nonce: Number(nonce),
-        ou: amountNum < 1000 ? '1' : '3',
-        timestamp: Date.now() / 1000
+    const fields = {
+        domain: lines[0].slice(0, -SIWO_HEADER_SUFFIX.length),
+        address: lines[1],
+        resources: []
+    };
+
+    let i = 3;
+    if (lines[i] !== undefined && !lines[i].startsWith('URI: ')) {
+        fields.statement = lines[i];
+        if (lines[i + 1] !== '') return null;
+        i += 2;
+    }
+
+    for (; i < lines.length; i++) {
+        if (lines[i] === 'Resources:') {
+            const resources = lines.slice(i + 1);
+            if (resources.some(r => !r.startsWith('- '))) return null;
+            fields.resources = resources.map(r => r.slice(2));
+            break;
+        }
+
+        const separator = lines[i].indexOf(': ');
+        const key = separator > 0 ? SIWO_FIELD_TAGS[lines[i].slice(0, separator)] : null;
+        if (!key || fields[key] !== undefined) return null;
+        fields[key] = lines[i].slice(separator + 2);
+    }
+
+    if (!fields.domain || !fields.uri || !fields.version || !fields.nonce || !fields.issuedAt) return null;
+
+    if (fields.chainId !== undefined) {
+        fields.chainId = Number(fields.chainId);
+        if (!Number.isInteger(fields.chainId)) return null;
+    }
+
+    return fields;
+}
+
+/**
+ * Validate parsed Sign-In-With-Octra fields
+ */
+export function validateSignInMessage(fields, options = {}) {
+    const { expectedDomain, expectedAddress, now = Date.now() } = options;
+
+    if (!fields) {
+        return { valid: false, error: 'Not a Sign-In-With-Octra message' };
+    }
+
+    const issuedAt = Date.parse(fields.issuedAt);
+    const expiresAt = fields.expirationTime ? Date.parse(fields.expirationTime) : null;
+
+    const validations = {
+        formatValid: fields.version === SIWO_VERSION
+            && ADDRESS_REGEX.test(fields.address)
+            && SIWO_NONCE_REGEX.test(fields.nonce)
+            && !isNaN(issuedAt)
+            && (expiresAt === null || !isNaN(expiresAt)),
+        domainMatch: !expectedDomain || fields.domain === expectedDomain,
+        addressMatch: !expectedAddress || fields.address === expectedAddress,
+        notExpired: expiresAt === null || now < expiresAt
+    };
+
+    return {
+        valid: Object.values(validations).every(Boolean),
+        validations
+    };
+}
+
+// OSM-2: Typed Data
+// A typed message declares its schema (types + primaryType) and a domain with
+// chainId. It is encoded canonically (schema field order, integers as decimal
+// strings) so the same data always produces the same signing message.
+const OSM2_VERSION = 'OSM-2';
+const TYPED_DATA_PREFIX = '\x19Octra Typed Data:\n';
+const DOMAIN_TYPE = 'OctraDomain';
+const DOMAIN_FIELDS = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint' },
+    { name: 'origin', type: 'string' },
+    { name: 'verifyingContract', type: 'address' }
+];
+const ATOMIC_TYPES = ['string', 'address', 'bool', 'uint', 'int', 'bytes'];
+const IDENTIFIER_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function stripArray(type) {
+    return type.replace(/(\[\])+$/, '');
+}
+
+/**
+ * Validate declared struct types (the domain type is built in and ignored)
+ */
+function normalizeTypes(types) {
+    if (!types || typeof types !== 'object' || Array.isArray(types)) {
+        throw new Error('types must be an object');
+    }
+
+    const schema = {};
+    for (const [name, fields] of Object.entries(types)) {
+        if (name === DOMAIN_TYPE) continue;
+        if (!IDENTIFIER_REGEX.test(name) || ATOMIC_TYPES.includes(name)) {
+            throw new Error(`Invalid type name: ${name}`);
+        }
+        if (!Array.isArray(fields)) {
+            throw new Error(`Fields of ${name} must be an array`);
+        }
+        schema[name] = fields;
+    }
+
+    for (const [name, fields] of Object.entries(schema)) {
+        const seen = new Set();
+        for (const field of fields) {
+            if (!field || !IDENTIFIER_REGEX.test(field.name) || seen.has(field.name)) {
+                throw new Error(`Invalid field in ${name}: ${field?.name}`);
+            }
+            seen.add(field.name);
+
+            const base = typeof field.type === 'string' ? stripArray(field.type) : null;
+            if (!base || (!ATOMIC_TYPES.includes(base) && !schema[base])) {
+                throw new Error(`Unknown type for ${name}.${field.name}: ${field.type}`);
+            }
+        }
+    }
+
+    return schema;
+}
+
+/**
+ * Encode one value of a declared type (throws on mismatch)
+ */
+function encodeValue(type, value, schema, path) {
+    if (type.endsWith('[]')) {
+        if (!Array.isArray(value)) throw new Error(`${path}: expected array`);
+        const itemType = type.slice(0, -2);
+        return value.map((item, i) => encodeValue(itemType, item, schema, `${path}[${i}]`));
+    }
+
+    switch (type) {
+        case 'string':
+            if (typeof value !== 'string') throw new Error(`${path}: expected string`);
+            return value;
+
+        case 'address':
+            if (typeof value !== 'string' || !ADDRESS_REGEX.test(value)) throw new Error(`${path}: expected address`);
+            return value;
+
+        case 'bool':
+            if (typeof value !== 'boolean') throw new Error(`${path}: expected bool`);
+            return value;
+
+        case 'uint':
+        case 'int': {
+            const str = (typeof value === 'bigint' || Number.isSafeInteger(value)) ? value.toString() : value;
+            const pattern = type === 'uint' ? /^(0|[1-9]\d*)$/ : /^(0|-?[1-9]\d*)$/;
+            if (typeof str !== 'string' || !pattern.test(str)) throw new Error(`${path}: expected ${type}`);
+            return str;
+        }
+
+        case 'bytes':
+            if (typeof value !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(value) || value.length % 4 !== 0) {
+                throw new Error(`${path}: expected base64 bytes`);
+            }
+            return value;
+
+        default:
+            return encodeStruct(type, value, schema, path);
+    }
+}
+
+/**
+ * Encode a struct in schema field order; every declared field is required
+ */
+function encodeStruct(type, value, schema, path) {
+    const fields = schema[type];
+    if (!fields) throw new Error(`${path}: unknown type ${type}`);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${path}: expected ${type} object`);
+    }
+
+    const undeclared = Object.keys(value).find(key => !fields.some(f => f.name === key));
+    if (undeclared) throw new Error(`${path}: undeclared field ${undeclared}`);
+
+    const encoded = {};
+    for (const field of fields) {
+        if (value[field.name] === undefined) throw new Error(`${path}.${field.name}: missing value`);
+        encoded[field.name] = encodeValue(field.type, value[field.name], schema, `${path}.${field.name}`);
+    }
+    return encoded;
+}
+
+/**
+ * Encode the domain separator (name and chainId are required)
+ */
+function encodeDomain(domain) {
+    if (!domain || typeof domain !== 'object') throw new Error('domain must be an object');
+    if (domain.name === undefined || domain.chainId === undefined) {
+        throw new Error('domain requires name and chainId');
+    }
+
+    const fields = DOMAIN_FIELDS.filter(f => domain[f.name] !== undefined);
+    return encodeStruct(DOMAIN_TYPE, domain, { [DOMAIN_TYPE]: fields }, 'domain');
+}
+
+/**
+ * Encode a type and its dependencies, e.g. "Order(address maker,Asset asset)Asset(string symbol)"
+ */
+export function encodeType(primaryType, types) {
+    const found = new Set();
+    const collect = (type) => {
+        const base = stripArray(type);
+        if (found.has(base) || !types[base]) return;
+        found.add(base);
+        types[base].forEach(field => collect(field.type));
     };
+    collect(primaryType);
+
+    const dependencies = [...found].filter(t => t !== primaryType).sort();
+    return [primaryType, ...dependencies]
+        .map(t => `${t}(${types[t].map(f => `${f.type} ${f.name}`).join(',')})`)
+        .join('');
+}
+
+/**
+ * Canonical OSM-2 encoding of typed data (throws if data does not match its schema)
+ */
+export function encodeTypedData(typedData) {
+    if (!typedData || typeof typedData !== 'object') {
+        throw new Error('Typed data must be an object');
+    }
+
+    const { types, primaryType, domain, message } = typedData;
+    const schema = normalizeTypes(types);
+    if (!schema[primaryType]) {
+        throw new Error(`Unknown primaryType: ${primaryType}`);
+    }
+
+    return {
+        version: OSM2_VERSION,
+        domain: encodeDomain(domain),
+        primaryType,
+        schema: encodeType(primaryType, schema),
+        message: encodeStruct(primaryType, message, schema, primaryType)
+    };
+}
+
+/**
+ * Check typed data against its schema without throwing
+ */
+export function validateTypedData(typedData) {
+    try {
+        encodeTypedData(typedData);
+        return { valid: true };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
 
-    return { payload, message };
+/**
+ * Create the signing message with OSM-2 prefix
+ */
+export function createTypedDataSigningMessage(typedData) {
+    const serialized = JSON.stringify(encodeTypedData(typedData));
+    return TYPED_DATA_PREFIX + serialized.length.toString() + '\n' + serialized;
+}
+
+/**
+ * Verify OSM-2 signature
+ */
+export async function verifyOSM2Signature(response, nacl, options = {}) {
+    try {
+        const { expectedOrigin, expectedChainId } = options;
+        const { domain } = response.typedData;
+
+        // Recreate signing message
+        const signedMessage = createTypedDataSigningMessage(response.typedData);
+        const messageBytes = new TextEncoder().encode(signedMessage);
+
+        // Decode signature and public key
+        const signature = base64ToUint8Array(response.signature);
+        const publicKey = base64ToUint8Array(response.publicKey);
+
+        // Verify signature
+        const signatureValid = nacl.sign.detached.verify(messageBytes, signature, publicKey);
+
+        // Verify origin and chain if specified
+        const originMatch = !expectedOrigin || domain.origin === expectedOrigin;
+        const chainMatch = expectedChainId === undefined || String(domain.chainId) === String(expectedChainId);
+
+        // Verify address matches public key
+        const publicKeyHash = await sha256(publicKey);
+        const expectedAddress = 'oct' + base58Encode(publicKeyHash);
+        const addressMatch = expectedAddress === response.address;
+
+        return {
+            valid: signatureValid && originMatch && chainMatch && addressMatch,
+            validations: {
+                signatureValid,
+                originMatch,
+                chainMatch,
+                addressMatch
+            }
+        };
+    } catch (error) {
+        return {
+            valid: false,
+            error: error.message
+        };
+    }
 }
 
-export { OSM_VERSION, MESSAGE_PREFIX };
+export { OSM_VERSION, MESSAGE_PREFIX, OSM2_VERSION, TYPED_DATA_PREFIX };
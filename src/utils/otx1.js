@@ -0,0 +1,151 @@
+/**
+ * OTX-1 Transactions
+ * The one place Octra transactions are built, serialized and signed.
+ * The popup, background, OCS01 and privacy paths all convert amounts and sign
+ * through here, so the same input always produces the same signed payload.
+ */
+
+import nacl from 'tweetnacl';
+import { bufferToBase64, base64ToBuffer } from './crypto';
+import { getRpcClient } from './rpc';
+import { isValidAddress } from './validation';
+
+export const MICRO_UNITS = 1_000_000;
+
+// Operation units (fee in micro OCT) of dApp transactions that set no fee (0.002 OCT).
+// Wallet sends without a fee use the network estimate instead (see estimateFee).
+export const DEFAULT_OU = '2000';
+
+// Contract calls carry no value and a fixed minimal ou
+export const CONTRACT_CALL_OU = '1';
+
+const DECIMALS = 6;
+
+/**
+ * Convert an OCT amount (number or decimal string) to integer micro units as a string.
+ * Uses string math so 0.29 becomes '290000', not 289999; digits past 6 decimals are dropped.
+ */
+export function toMicroUnits(amount) {
+    let str;
+    if (typeof amount === 'number') {
+        if (!Number.isFinite(amount) || amount < 0) throw new Error('Amount must be a non-negative number');
+        str = amount.toString().includes('e') ? amount.toFixed(20) : amount.toString();
+    } else if (typeof amount === 'string') {
+        str = amount.trim();
+    } else {
+        throw new Error('Amount must be a number or string');
+    }
+
+    if (!/^(\d+\.?\d*|\.\d+)$/.test(str)) throw new Error(`Invalid amount: ${amount}`);
+
+    const [integerPart, fractionalPart = ''] = str.split('.');
+    const raw = integerPart + fractionalPart.padEnd(DECIMALS, '0').slice(0, DECIMALS);
+    return raw.replace(/^0+/, '') || '0';
+}
+
+/**
+ * Convert integer micro units (string, number or bigint) to OCT
+ */
+export function fromMicroUnits(raw) {
+    return Number(BigInt(raw)) / MICRO_UNITS;
+}
+
+/**
+ * Fee in OCT for a wallet transaction that does not set one: the node's medium
+ * estimate (0.02 OCT when the node has none), or DEFAULT_OU if it cannot be read
+ */
+export async function estimateFee(amount, rpcClient = getRpcClient()) {
+    try {
+        const estimates = await rpcClient.getFeeEstimate(Number(amount));
+        return String(estimates.medium);
+    } catch {
+        return String(fromMicroUnits(DEFAULT_OU));
+    }
+}
+
+/**
+ * Build a validated OTX-1 transaction.
+ *
+ * @param {Object} params
+ * @param {string} params.from - Sender address
+ * @param {string} params.to - Recipient (or contract) address
+ * @param {number|string} [params.amount] - Amount in OCT
+ * @param {string} [params.amountRaw] - Amount in micro units (takes precedence over amount)
+ * @param {number|string} [params.fee] - Fee in OCT
+ * @param {string} [params.ou] - Fee in micro units (takes precedence over fee)
+ * @param {number} params.nonce - Reserved nonce (see NonceManager)
+ * @param {number} [params.timestamp] - Seconds since epoch
+ * @param {string} [params.message] - Optional memo (not part of the signature)
+ */
+export function buildTransaction({ from, to, amount, amountRaw, fee, ou, nonce, timestamp = Date.now() / 1000, message }) {
+    if (!isValidAddress(from)) throw new Error('Invalid transaction: from must be a valid Octra address');
+    if (!isValidAddress(to)) throw new Error('Invalid transaction: to must be a valid Octra address');
+
+    const txNonce = Number(nonce);
+    if (!Number.isInteger(txNonce) || txNonce <= 0) throw new Error('Invalid nonce');
+
+    let txAmount;
+    if (amountRaw !== undefined && amountRaw !== null) {
+        txAmount = String(amountRaw);
+        if (!/^\d+$/.test(txAmount)) throw new Error('Invalid transaction: amountRaw must be whole micro units');
+        txAmount = txAmount.replace(/^0+/, '') || '0';
+    } else {
+        txAmount = toMicroUnits(amount ?? 0);
+    }
+
+    let txOu;
+    if (ou !== undefined && ou !== null) {
+        txOu = String(ou);
+    } else if (fee !== undefined && fee !== null && fee !== '') {
+        txOu = toMicroUnits(fee);
+    } else {
+        txOu = DEFAULT_OU;
+    }
+    if (!/^[1-9]\d*$/.test(txOu)) throw new Error('Invalid transaction: fee must be positive');
+
+    if (!Number.isFinite(timestamp)) throw new Error('Invalid transaction: timestamp must be a number');
+
+    const tx = {
+        from,
+        to_: to,
+        amount: txAmount,
+        nonce: txNonce,
+        ou: txOu,
+        timestamp
+    };
+    if (message) tx.message = String(message);
+    return tx;
+}
+
+/**
+ * Canonical signing payload: fixed key order, message excluded
+ */
+export function serializeTransaction(tx) {
+    return JSON.stringify({
+        from: tx.from,
+        to_: tx.to_,
+        amount: tx.amount,
+        nonce: tx.nonce,
+        ou: tx.ou,
+        timestamp: tx.timestamp
+    });
+}
+
+/**
+ * Sign a built transaction with an Ed25519 seed (base64 string or 32-byte Uint8Array).
+ * The derived secret key is wiped before returning; wiping the seed is up to the caller.
+ */
+export function signTransaction(tx, privateKey) {
+    const seed = typeof privateKey === 'string' ? base64ToBuffer(privateKey) : privateKey;
+    const keyPair = nacl.sign.keyPair.fromSeed(seed);
+    try {
+        const signature = nacl.sign.detached(new TextEncoder().encode(serializeTransaction(tx)), keyPair.secretKey);
+        return {
+            ...tx,
+            signature: bufferToBase64(signature),
+            public_key: bufferToBase64(keyPair.publicKey)
+        };
+    } finally {
+        keyPair.secretKey.fill(0);
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Phishing Protection
+ * Origin allow/block lists and lookalike detection for dApp requests
+ */
+
+/**
+ * Bundled lists. The background replaces them with a published list
+ * when one with a higher version is available.
+ * Entries are hostnames and also cover their subdomains.
+ */
+export const DEFAULT_PHISHING_LISTS = {
+    version: 1,
+    allowlist: ['octra.network', 'octrascan.io', 'qiubit.io'],
+    blocklist: [],
+    // Sites whose lookalikes are flagged
+    protected: ['octra.network', 'octrascan.io', 'qiubit.io']
+};
+
+export const PHISHING_REASONS = {
+    USER_ALLOW: 'userAllow',
+    ALLOWLIST: 'allowlist',
+    USER_DENY: 'userDeny',
+    BLOCKLIST: 'blocklist',
+    HOMOGLYPH: 'homoglyph',
+    TYPOSQUAT: 'typosquat',
+    SUBDOMAIN: 'subdomain'
+};
+
+/**
+ * User-facing explanation for a blocking verdict
+ */
+export function describePhishingReason(reason, match) {
+    switch (reason) {
+        case PHISHING_REASONS.USER_DENY:
+            return 'You added this site to your block list';
+        case PHISHING_REASONS.BLOCKLIST:
+            return 'This site is on the Qiubit phishing block list';
+        case PHISHING_REASONS.HOMOGLYPH:
+            return `This address uses look-alike characters to imitate ${match}`;
+        case PHISHING_REASONS.TYPOSQUAT:
+            return `This address is a misspelling of ${match}`;
+        case PHISHING_REASONS.SUBDOMAIN:
+            return `This address hides ${match} inside another domain`;
+        default:
+            return 'This site was flagged as a possible phishing site';
+    }
+}
+
+// Non-Latin characters commonly used to imitate Latin letters, plus digit swaps
+const HOMOGLYPHS = {
+    'а': 'a', 'в': 'b', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j',
+    'к': 'k', 'ӏ': 'l', 'м': 'm', 'п': 'n', 'о': 'o', 'р': 'p', 'ԛ': 'q', 'г': 'r',
+    'ѕ': 's', 'т': 't', 'ц': 'u', 'ѵ': 'v', 'ԝ': 'w', 'х': 'x', 'у': 'y', 'ʐ': 'z',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x', 'ɡ': 'g', 'ɩ': 'i', 'ı': 'i', 'ո': 'n', 'ս': 'u',
+    '0': 'o', '1': 'l', '3': 'e', '5': 's'
+};
+
+/**
+ * Decode one punycode label body (RFC 3492), or null if malformed
+ */
+function decodePunycode(input) {
+    const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+    const output = [];
+    let basic = input.lastIndexOf('-');
+    if (basic < 0) basic = 0;
+    for (let j = 0; j < basic; j++) output.push(input.charCodeAt(j));
+
+    let n = 128, i = 0, bias = 72;
+    for (let index = basic > 0 ? basic + 1 : 0; index < input.length;) {
+        const oldi = i;
+        for (let w = 1, k = base; ; k += base) {
+            if (index >= input.length) return null;
+            const c = input.charCodeAt(index++);
+            const digit = c - 48 < 10 ? c - 22 : c - 65 < 26 ? c - 65 : c - 97 < 26 ? c - 97 : base;
+            if (digit >= base) return null;
+            i += digit * w;
+            const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+            if (digit < t) break;
+            w *= base - t;
+        }
+        const length = output.length + 1;
+        let delta = oldi === 0 ? Math.floor((i - oldi) / damp) : (i - oldi) >> 1;
+        delta += Math.floor(delta / length);
+        let k = 0;
+        while (delta > ((base - tMin) * tMax) >> 1) {
+            delta = Math.floor(delta / (base - tMin));
+            k += base;
+        }
+        bias = k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+        n += Math.floor(i / length);
+        i %= length;
+        output.splice(i++, 0, n);
+    }
+    return String.fromCodePoint(...output);
+}
+
+/**
+ * Hostname of an origin in Unicode (browsers report IDNs as xn-- labels)
+ */
+export function getHostname(origin) {
+    try {
+        const hostname = new URL(origin).hostname.toLowerCase();
+        return hostname
+            .split('.')
+            .map(label => (label.startsWith('xn--') ? decodePunycode(label.slice(4)) ?? label : label))
+            .join('.');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Normalize a user-entered site ("example.com" or a full URL) to a hostname
+ */
+export function normalizeHostEntry(input) {
+    if (typeof input !== 'string' || !input.trim()) return null;
+    const value = input.trim();
+    const hostname = getHostname(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    return hostname && (hostname.includes('.') || hostname === 'localhost') ? hostname : null;
+}
+
+function matchesHost(hostname, entry) {
+    return hostname === entry || hostname.endsWith('.' + entry);
+}
+
+/**
+ * Map look-alike characters to the Latin letters they imitate
+ */
+function skeleton(value) {
+    return Array.from(value.normalize('NFKD').replace(/[\u0300-\u036f]/g, ''))
+        .map(char => HOMOGLYPHS[char] || char)
+        .join('')
+        .replace(/rn/g, 'm')
+        .replace(/vv/g, 'w');
+}
+
+/**
+ * Edit distance counting adjacent swaps as one edit
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * Find a protected site the hostname imitates.
+ * Returns { reason, match } or null.
+ */
+export function findLookalike(hostname, protectedSites) {
+    const labels = hostname.split('.');
+    const site = labels.slice(-2).join('.');
+    const siteSkeleton = skeleton(site);
+    if (protectedSites.some(target => matchesHost(hostname, target))) return null;
+
+    for (const target of protectedSites) {
+        const [targetName] = target.split('.');
+
+        if (siteSkeleton === skeleton(target)) {
+            return { reason: PHISHING_REASONS.HOMOGLYPH, match: target };
+        }
+        if (editDistance(siteSkeleton, target) <= 1 || siteSkeleton.split('.')[0] === targetName) {
+            return { reason: PHISHING_REASONS.TYPOSQUAT, match: target };
+        }
+        if (`.${labels.slice(0, -2).join('.')}.`.includes(`.${target}.`)) {
+            return { reason: PHISHING_REASONS.SUBDOMAIN, match: target };
+        }
+    }
+    return null;
+}
+
+/**
+ * Decide whether a dApp origin may talk to the wallet.
+ * User entries win over the published lists, which win over lookalike detection.
+ *
+ * @param {string} origin - Verified page origin
+ * @param {Object} lists - { allowlist, blocklist, protected }
+ * @param {Object} userLists - { allow, deny } hostnames managed in Settings
+ * @returns {{ blocked: boolean, reason: string|null, match: string|null }}
+ */
+export function checkOrigin(origin, lists = DEFAULT_PHISHING_LISTS, userLists = {}) {
+    const hostname = getHostname(origin);
+    if (!hostname) return { blocked: false, reason: null, match: null };
+
+    const find = (entries) => (entries || []).find(entry => matchesHost(hostname, entry)) || null;
+    const checks = [
+        [userLists.allow, PHISHING_REASONS.USER_ALLOW, false],
+        [userLists.deny, PHISHING_REASONS.USER_DENY, true],
+        [lists.allowlist, PHISHING_REASONS.ALLOWLIST, false],
+        [lists.blocklist, PHISHING_REASONS.BLOCKLIST, true]
+    ];
+    for (const [entries, reason, blocked] of checks) {
+        const match = find(entries);
+        if (match) return { blocked, reason, match };
+    }
+
+    const lookalike = findLookalike(hostname, lists.protected || []);
+    if (lookalike) return { blocked: true, ...lookalike };
+
+    return { blocked: false, reason: null, match: null };
+}
+
+/**
+ * Check the shape of a published list before it replaces the bundled one
+ */
+export function isValidPhishingLists(lists) {
+    const isHostList = (value) => Array.isArray(value) && value.every(entry => typeof entry === 'string');
+    return Boolean(lists)
+        && Number.isInteger(lists.version)
+        && isHostList(lists.allowlist)
+        && isHostList(lists.blocklist)
+        && isHostList(lists.protected);
+}
@@ -0,0 +1,13 @@
+/**
+ * Popup Requests
+ * Messaging helper for settings screens that talk to the background connection manager
+ */
+
+/**
+ * Send an action to the background and unwrap { result } / { error }
+ */
+export async function popupRequest(action, data) {
+    const response = await chrome.runtime.sendMessage({ type: 'POPUP_REQUEST', action, data });
+    if (response?.error) throw new Error(response.error);
+    return response?.result;
+}
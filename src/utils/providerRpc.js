@@ -0,0 +1,156 @@
+/**
+ * dApp Provider RPC
+ * Error codes returned to dApps (EIP-1193 / JSON-RPC 2.0) and parameter checks
+ * run in the background before any approval window opens.
+ *
+ * The inpage script cannot import this module (it must stay a single classic
+ * script), so keep its copy of PROVIDER_ERROR_CODES in sync.
+ */
+
+import { isValidAddress } from './validation';
+
+/**
+ * | Code   | Name                | Meaning                                            |
+ * |--------|---------------------|----------------------------------------------------|
+ * | 4001   | USER_REJECTED       | The user rejected the request                      |
+ * | 4100   | UNAUTHORIZED        | Not connected, permission missing or wallet locked |
+ * | 4200   | UNSUPPORTED_METHOD  | The wallet does not support the method             |
+ * | 4900   | DISCONNECTED        | The wallet cannot be reached                       |
+ * | 4901   | CHAIN_DISCONNECTED  | Not connected to the requested network             |
+ * | -32005 | LIMIT_EXCEEDED      | Too many requests                                  |
+ * | -32600 | INVALID_REQUEST     | The request is not a {method, params} object       |
+ * | -32602 | INVALID_PARAMS      | Missing or malformed parameters                    |
+ * | -32603 | INTERNAL            | Unexpected wallet or network failure               |
+ */
+export const PROVIDER_ERROR_CODES = {
+    USER_REJECTED: 4001,
+    UNAUTHORIZED: 4100,
+    UNSUPPORTED_METHOD: 4200,
+    DISCONNECTED: 4900,
+    CHAIN_DISCONNECTED: 4901,
+    LIMIT_EXCEEDED: -32005,
+    INVALID_REQUEST: -32600,
+    INVALID_PARAMS: -32602,
+    INTERNAL: -32603
+};
+
+const KNOWN_CODES = Object.values(PROVIDER_ERROR_CODES);
+
+/**
+ * Build a provider error object
+ */
+export function providerError(code, message, data) {
+    return data === undefined ? { code, message } : { code, message, data };
+}
+
+/**
+ * Turn any handler error (string, Error or {code, message}) into a provider error.
+ * Legacy string errors about a missing or locked wallet count as unauthorized.
+ */
+export function toProviderError(error) {
+    if (error && typeof error === 'object' && Number.isInteger(error.code)) {
+        const code = KNOWN_CODES.includes(error.code) ? error.code : PROVIDER_ERROR_CODES.INTERNAL;
+        return providerError(code, String(error.message || 'Internal error'), error.data);
+    }
+
+    const message = typeof error === 'string' ? error : error?.message || 'Internal error';
+    const code = /locked|not found|connect first/i.test(message)
+        ? PROVIDER_ERROR_CODES.UNAUTHORIZED
+        : PROVIDER_ERROR_CODES.INTERNAL;
+    return providerError(code, message);
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+function validateBatch(params) {
+    if (!Array.isArray(params.transactions) || params.transactions.length === 0) {
+        return 'transactions must be a non-empty array';
+    }
+    for (const [index, tx] of params.transactions.entries()) {
+        const error = validateTransactionParams(tx);
+        if (error) return `transactions[${index}]: ${error.message}`;
+    }
+    return null;
+}
+
+/**
+ * Check the fields of a single OTX-1 transaction request.
+ * Returns an error object, or null when valid.
+ */
+export function validateTransactionParams(tx) {
+    const invalid = (message) => providerError(PROVIDER_ERROR_CODES.INVALID_PARAMS, message);
+
+    if (!isPlainObject(tx)) return invalid('transaction must be an object');
+    if (!isValidAddress(tx.to)) return invalid('to must be a valid Octra address');
+    if (tx.from != null && !isValidAddress(tx.from)) return invalid('from must be a valid Octra address');
+
+    if (tx.amountRaw !== undefined) {
+        if (!/^\d+$/.test(String(tx.amountRaw))) return invalid('amountRaw must be a whole number of micro OCT');
+    } else if (tx.amount !== undefined) {
+        const amount = Number(tx.amount);
+        if (tx.amount === '' || !Number.isFinite(amount) || amount < 0) return invalid('amount must be a non-negative number of OCT');
+    } else {
+        return invalid('amount or amountRaw is required');
+    }
+
+    if (tx.fee !== undefined && !(Number.isFinite(Number(tx.fee)) && Number(tx.fee) > 0)) {
+        return invalid('fee must be a positive number of OCT');
+    }
+    if (tx.nonce !== undefined && !(Number.isInteger(Number(tx.nonce)) && Number(tx.nonce) > 0)) {
+        return invalid('nonce must be a positive integer');
+    }
+    if (tx.message !== undefined && typeof tx.message !== 'string') {
+        return invalid('message must be a string');
+    }
+    return null;
+}
+
+/**
+ * Shape checks per method. Handlers still run their own deeper checks
+ * (typed data, contract calls, envelopes); these catch malformed requests early.
+ */
+const PARAM_VALIDATORS = {
+    connect: (params) => params.permissions !== undefined && !isStringArray(params.permissions)
+        ? 'permissions must be an array of permission names'
+        : null,
+    requestPermissions: (params) => !isStringArray(params.permissions) || params.permissions.length === 0
+        ? 'permissions must be a non-empty array of permission names'
+        : null,
+    revokePermissions: (params) => !isStringArray(params.permissions)
+        ? 'permissions must be an array of permission names'
+        : null,
+    getBalance: (params) => params.address != null && !isValidAddress(params.address)
+        ? 'address must be a valid Octra address'
+        : null,
+    signMessage: (params) => !isPlainObject(params.payload) ? 'payload must be an object' : null,
+    signTypedData: (params) => !isPlainObject(params.typedData) ? 'typedData must be an object' : null,
+    signTransaction: (params) => validateTransactionParams(params.transaction || params)?.message || null,
+    sendTransaction: (params) => validateTransactionParams(params.transaction || params)?.message || null,
+    signAllTransactions: validateBatch,
+    sendTransactions: validateBatch,
+    callView: (params) => !isValidAddress(params.contract) ? 'contract must be a valid Octra address' : null,
+    callContract: (params) => !isValidAddress(params.contract) ? 'contract must be a valid Octra address' : null,
+    watchAsset: (params) => !isValidAddress(params.contract) ? 'contract must be a valid Octra address' : null,
+    shield: (params) => params.amount === undefined ? 'amount is required' : null,
+    unshield: (params) => params.amount === undefined ? 'amount is required' : null,
+    privateTransfer: (params) => !isValidAddress(params.to) ? 'to must be a valid Octra address' : null,
+    encrypt: (params) => typeof params.data !== 'string' ? 'data must be a string' : null,
+    decrypt: (params) => !isPlainObject(params.envelope || params) ? 'envelope must be an object' : null,
+    switchNetwork: (params) => typeof params.networkId === 'string' || Number.isInteger(params.chainId)
+        ? null
+        : 'Expected a networkId or chainId'
+};
+
+/**
+ * Validate the params of a dApp request before it is routed.
+ * Returns an error object, or null when the request may proceed.
+ */
+export function validateDappParams(method, params) {
+    if (params !== undefined && !isPlainObject(params)) {
+        return providerError(PROVIDER_ERROR_CODES.INVALID_PARAMS, 'params must be an object');
+    }
+    const message = PARAM_VALIDATORS[method]?.(params || {});
+    return message ? providerError(PROVIDER_ERROR_CODES.INVALID_PARAMS, message) : null;
+}
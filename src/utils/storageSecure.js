@@ -790,10 +790,49 @@ export async function getPrivacyTransactionSecure(hash, password) {
     return logs[hash] || null;
 }
 
+// Logs of dApp privacy operations, made in the background without the password
+const QUEUED_PRIVACY_LOGS_KEY = 'queued_privacy_logs';
+
+/**
+ * Queue a privacy transaction log until the password is available.
+ * Session storage stays in memory and is cleared when the browser closes.
+ */
+export async function queuePrivacyTransaction(hash, type, details = {}) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) return;
+
+    const data = await chrome.storage.session.get(QUEUED_PRIVACY_LOGS_KEY);
+    const queued = data[QUEUED_PRIVACY_LOGS_KEY] || {};
+    queued[hash] = { type, timestamp: Date.now(), ...details };
+    await chrome.storage.session.set({ [QUEUED_PRIVACY_LOGS_KEY]: queued });
+}
+
+/**
+ * Move queued privacy logs into the encrypted log
+ */
+async function flushQueuedPrivacyTransactions(password) {
+    if (!password || typeof chrome === 'undefined' || !chrome.storage?.session) return;
+
+    const data = await chrome.storage.session.get(QUEUED_PRIVACY_LOGS_KEY);
+    const queued = data[QUEUED_PRIVACY_LOGS_KEY] || {};
+    const hashes = Object.keys(queued);
+    if (hashes.length === 0) return;
+
+    for (const hash of hashes) {
+        const { type, ...details } = queued[hash];
+        await savePrivacyTransactionSecure(hash, type, details, password);
+    }
+
+    // Keep logs queued while this ran
+    const latest = (await chrome.storage.session.get(QUEUED_PRIVACY_LOGS_KEY))[QUEUED_PRIVACY_LOGS_KEY] || {};
+    hashes.forEach(hash => delete latest[hash]);
+    await chrome.storage.session.set({ [QUEUED_PRIVACY_LOGS_KEY]: latest });
+}
+
 /**
- * Get all privacy transactions
+ * Get all privacy transactions (including queued dApp operations)
  */
 export async function getAllPrivacyTransactionsSecure(password) {
+    await flushQueuedPrivacyTransactions(password);
     return await loadPrivacyLogsSecure(password);
 }
 
@@ -922,6 +961,7 @@ export async function clearAllPrivacyDataSecure() {
                 STORAGE_KEYS.PRIVACY_LOGS,
                 STORAGE_KEYS.PRIVACY_BALANCE_CACHE
             ]);
+            await chrome.storage.session?.remove(QUEUED_PRIVACY_LOGS_KEY);
         } else {
             localStorage.removeItem(STORAGE_KEYS.PRIVACY_LOGS);
             localStorage.removeItem(STORAGE_KEYS.PRIVACY_BALANCE_CACHE);
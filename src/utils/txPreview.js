@@ -0,0 +1,111 @@
+/**
+ * Transaction Preview
+ * Balance-change simulation and risk checks shown before a dApp transaction is signed
+ */
+
+import { DEFAULT_OU, MICRO_UNITS, fromMicroUnits } from './otx1';
+
+// Fee charged when a transaction does not set one (the default ou used when signing)
+export const DEFAULT_TX_FEE = Number(DEFAULT_OU) / MICRO_UNITS;
+
+// Warn when a single transaction spends more than this share of the available balance
+export const DEFAULT_LARGE_TX_PERCENT = 50;
+
+export const PREVIEW_WARNINGS = {
+    INSUFFICIENT_FUNDS: 'insufficientFunds',
+    UNKNOWN_RECIPIENT: 'unknownRecipient',
+    NEW_RECIPIENT: 'newRecipient',
+    LARGE_AMOUNT: 'largeAmount'
+};
+
+/**
+ * Amount of a dApp transaction in OCT (amountRaw is in micro units)
+ */
+export function getTxAmount(tx) {
+    if (tx.amountRaw !== undefined && tx.amountRaw !== null) {
+        return Number(tx.amountRaw) / MICRO_UNITS;
+    }
+    return parseFloat(tx.amount) || 0;
+}
+
+/**
+ * Amount plus fee a staged (mempool) transaction will take from its sender, in OCT.
+ * Staged transactions carry amount and ou in micro units, as signed (see otx1).
+ */
+function getStagedCost(tx) {
+    const toOct = (raw) => (/^\d+$/.test(String(raw)) ? fromMicroUnits(String(raw)) : 0);
+    const fee = tx.ou ? toOct(tx.ou) : DEFAULT_TX_FEE;
+    return toOct(tx.amount ?? '0') + fee;
+}
+
+/**
+ * Outgoing transactions from an address that are still waiting in the mempool
+ */
+export function getPendingOutgoing(staged, address) {
+    const ours = (staged || []).filter(tx => tx.from === address);
+    return {
+        count: ours.length,
+        amount: ours.reduce((sum, tx) => sum + getStagedCost(tx), 0),
+        maxNonce: ours.reduce((max, tx) => Math.max(max, parseInt(tx.nonce) || 0), 0)
+    };
+}
+
+/**
+ * Simulate the sender's balance after a transaction and collect warnings.
+ *
+ * @param {Object} options
+ * @param {{ balance: number, nonce: number }} options.account - Confirmed balance and nonce
+ * @param {Array} options.staged - Mempool transactions (getStagedTransactions)
+ * @param {Object} options.tx - { from, to, amount, amountRaw, fee }
+ * @param {string[]} options.knownAddresses - Own accounts and past counterparties
+ * @param {boolean|null} options.recipientSeen - Recipient has on-chain history (null = could not check)
+ * @param {number} options.largeTxPercent - Share of the available balance that counts as large
+ */
+export function buildTransactionPreview({
+    account,
+    staged = [],
+    tx,
+    knownAddresses = [],
+    recipientSeen = null,
+    largeTxPercent = DEFAULT_LARGE_TX_PERCENT
+}) {
+    const pending = getPendingOutgoing(staged, tx.from);
+    const amount = getTxAmount(tx);
+    const fee = tx.fee ? Number(tx.fee) : DEFAULT_TX_FEE;
+    const available = account.balance - pending.amount;
+    const resultingBalance = available - amount - fee;
+    const to = tx.to || tx.to_;
+
+    const warnings = [];
+    if (resultingBalance < 0) {
+        warnings.push({
+            type: PREVIEW_WARNINGS.INSUFFICIENT_FUNDS,
+            message: pending.count > 0
+                ? `Insufficient funds once ${pending.count} pending transaction(s) confirm`
+                : 'Insufficient funds for this amount plus fee'
+        });
+    } else if (largeTxPercent > 0 && available > 0 && amount / available * 100 > largeTxPercent) {
+        warnings.push({
+            type: PREVIEW_WARNINGS.LARGE_AMOUNT,
+            message: `Sends ${Math.round(amount / available * 100)}% of your available balance`
+        });
+    }
+
+    if (to && !knownAddresses.includes(to)) {
+        warnings.push(recipientSeen === false
+            ? { type: PREVIEW_WARNINGS.NEW_RECIPIENT, message: 'Recipient has never been used on-chain' }
+            : { type: PREVIEW_WARNINGS.UNKNOWN_RECIPIENT, message: 'You have not sent to this address before' });
+    }
+
+    return {
+        balance: account.balance,
+        pendingAmount: pending.amount,
+        pendingCount: pending.count,
+        available,
+        amount,
+        fee,
+        resultingBalance,
+        nonce: Math.max(account.nonce, pending.maxNonce) + 1,
+        warnings
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * dApp Permission Model Unit Tests
+ * Tests for permission normalization, legacy connections, connection expiry and frame context
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    DAPP_PERMISSIONS,
+    DEFAULT_PERMISSIONS,
+    isValidPermission,
+    normalizePermissions,
+    getConnectionPermissions,
+    hasPermission,
+    CONNECTION_DURATIONS,
+    getConnectionExpiry,
+    isConnectionExpired,
+    getFrameContext
+} from '../../src/utils/dappPermissions';
+
+describe('dApp Permissions', () => {
+
+    describe('normalizePermissions', () => {
+        it('should always include address access', () => {
+            expect(normalizePermissions([DAPP_PERMISSIONS.SIGN])).toEqual([
+                DAPP_PERMISSIONS.VIEW_ADDRESS,
+                DAPP_PERMISSIONS.SIGN
+            ]);
+        });
+
+        it('should drop unknown and duplicate entries', () => {
+            const result = normalizePermissions(['sign', 'sign', 'stealFunds']);
+            expect(result).toEqual([DAPP_PERMISSIONS.VIEW_ADDRESS, DAPP_PERMISSIONS.SIGN]);
+        });
+
+        it('should handle non-array input', () => {
+            expect(normalizePermissions(null)).toEqual([DAPP_PERMISSIONS.VIEW_ADDRESS]);
+        });
+    });
+
+    describe('isValidPermission', () => {
+        it('should accept known permissions only', () => {
+            expect(isValidPermission(DAPP_PERMISSIONS.PRIVACY)).toBe(true);
+            expect(isValidPermission('balance')).toBe(false);
+        });
+    });
+
+    describe('getConnectionPermissions', () => {
+        it('should return nothing for missing or disconnected connections', () => {
+            expect(getConnectionPermissions(undefined)).toEqual([]);
+            expect(getConnectionPermissions({ connected: false, permissions: ['sign'] })).toEqual([]);
+        });
+
+        it('should map legacy connections to the default grant', () => {
+            expect(getConnectionPermissions({ connected: true })).toEqual(DEFAULT_PERMISSIONS);
+        });
+
+        it('should keep balance access for connections saved before the permission model', () => {
+            const legacy = { address: 'oct' + '1'.repeat(44), connected: true, permissions: ['sign', 'balance'] };
+            expect(getConnectionPermissions(legacy)).toEqual([
+                DAPP_PERMISSIONS.VIEW_ADDRESS,
+                DAPP_PERMISSIONS.VIEW_BALANCE,
+                DAPP_PERMISSIONS.SIGN
+            ]);
+        });
+
+        it('should not grant encrypted balance access by default', () => {
+            const legacy = { connected: true };
+            expect(hasPermission(legacy, DAPP_PERMISSIONS.VIEW_ENCRYPTED_BALANCE)).toBe(false);
+            expect(hasPermission(legacy, DAPP_PERMISSIONS.SIGN)).toBe(true);
+        });
+    });
+
+    describe('connection expiry', () => {
+        const now = 1_700_000_000_000;
+
+        it('should only set a fixed expiry for timed durations', () => {
+            expect(getConnectionExpiry(CONNECTION_DURATIONS.DAY, now)).toBe(now + 24 * 60 * 60 * 1000);
+            expect(getConnectionExpiry(CONNECTION_DURATIONS.SESSION, now)).toBeNull();
+            expect(getConnectionExpiry(CONNECTION_DURATIONS.ALWAYS, now)).toBeNull();
+        });
+
+        it('should revoke every permission once a connection expires', () => {
+            const connection = { connected: true, permissions: ['viewAddress', 'sign'], expiresAt: now };
+            expect(isConnectionExpired(connection, now - 1)).toBe(false);
+            expect(isConnectionExpired(connection, now)).toBe(true);
+            expect(getConnectionPermissions({ ...connection, expiresAt: Date.now() - 1 })).toEqual([]);
+        });
+
+        it('should never expire legacy connections without an expiry', () => {
+            expect(isConnectionExpired({ connected: true }, now)).toBe(false);
+        });
+    });
+
+    describe('getFrameContext', () => {
+        it('should treat top-level and same-origin frames as first-party', () => {
+            expect(getFrameContext('https://a.io')).toMatchObject({ topOrigin: 'https://a.io', crossOrigin: false });
+            expect(getFrameContext('https://a.io', ['https://a.io']).crossOrigin).toBe(false);
+        });
+
+        it('should report the top-level page of a cross-origin frame', () => {
+            const frame = getFrameContext('https://b.io', ['https://mid.io', 'https://a.io']);
+            expect(frame.topOrigin).toBe('https://a.io');
+            expect(frame.crossOrigin).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * End-to-End Encryption Unit Tests
+ * Tests for Ed25519 to X25519 key conversion and encryption envelopes
+ *
+ * Runs in node: tweetnacl rejects Uint8Arrays created by the jsdom TextEncoder
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import nacl from 'tweetnacl';
+import {
+    ENCRYPTION_VERSION,
+    bufferToBase64,
+    ed25519PublicKeyToX25519,
+    ed25519PrivateKeyToX25519,
+    getEncryptionPublicKey,
+    encryptForPublicKey,
+    decryptEnvelope,
+    isValidEncryptionEnvelope
+} from '../../src/utils/crypto';
+
+const account = (fill) => {
+    const seed = new Uint8Array(32).fill(fill);
+    const keyPair = nacl.sign.keyPair.fromSeed(seed);
+    return { privateKeyB64: bufferToBase64(seed), publicKeyB64: bufferToBase64(keyPair.publicKey), keyPair };
+};
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+describe('End-to-End Encryption', () => {
+
+    describe('key conversion', () => {
+        it('should convert both halves of an Ed25519 key pair to a matching X25519 pair', () => {
+            const { keyPair } = account(7);
+            const secretKey = ed25519PrivateKeyToX25519(keyPair.secretKey);
+            expect(ed25519PublicKeyToX25519(keyPair.publicKey))
+                .toEqual(nacl.box.keyPair.fromSecretKey(secretKey).publicKey);
+        });
+
+        it('should match libsodium\'s crypto_sign_ed25519_*_to_curve25519 on known keys', () => {
+            // Reference values from libsodium for the seeds filled with 0, 7 and 0xff
+            const vectors = [
+                [0, '5bf55c73b82ebe22be80f3430667af570fae2556a6415e6b30d4065300aa947d',
+                    '5046adc1dba838867b2bbbfdd0c3423e58b57970b5267a90f57960924a87f156'],
+                [7, '761d88ec830413919dfe9d4d1d56f17e653c8c994082df5b137b90a0ae6edf74',
+                    '28ad39fefd7fa3e200a9c626eef599e61a2d055c48a8288a4e7e4c4bca392878'],
+                [255, 'd1fa3f01826bd8b78e057c086c7b22c7ad4358ca918099cd7b7e5d3acd7e285b',
+                    '20cd6935864716a79d74dd5fabbd8964304051ca41a31c4659158ebb7c3d0b57']
+            ];
+            for (const [fill, publicHex, secretHex] of vectors) {
+                const { keyPair } = account(fill);
+                expect(toHex(ed25519PublicKeyToX25519(keyPair.publicKey))).toBe(publicHex);
+                expect(toHex(ed25519PrivateKeyToX25519(keyPair.secretKey))).toBe(secretHex);
+            }
+        });
+
+        it('should reject bytes that are not a curve point', () => {
+            const notOnCurve = new Uint8Array(32);
+            notOnCurve[0] = 2;
+            expect(ed25519PublicKeyToX25519(notOnCurve)).toBeNull();
+            expect(ed25519PublicKeyToX25519(new Uint8Array(31))).toBeNull();
+        });
+    });
+
+    describe('envelopes', () => {
+        it('should round-trip a message to the recipient only', () => {
+            const alice = account(1);
+            const bob = account(2);
+            const envelope = encryptForPublicKey('gm, Octra ✓', getEncryptionPublicKey(alice.publicKeyB64));
+
+            expect(envelope.version).toBe(ENCRYPTION_VERSION);
+            expect(isValidEncryptionEnvelope(envelope)).toBe(true);
+            expect(decryptEnvelope(envelope, alice.privateKeyB64)).toBe('gm, Octra ✓');
+            expect(decryptEnvelope(envelope, bob.privateKeyB64)).toBeNull();
+        });
+
+        it('should reject tampered or malformed envelopes', () => {
+            const alice = account(1);
+            const envelope = encryptForPublicKey('secret', getEncryptionPublicKey(alice.publicKeyB64));
+            const flipped = { ...envelope, nonce: bufferToBase64(new Uint8Array(24)) };
+
+            expect(decryptEnvelope(flipped, alice.privateKeyB64)).toBeNull();
+            expect(isValidEncryptionEnvelope({ ...envelope, version: 'v0' })).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * NonceManager Unit Tests
+ * Tests for locally reserved nonces reconciled against the network
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { NonceManager } from '../../src/services/NonceManager';
+
+const ADDRESS = 'oct' + '1'.repeat(44);
+
+describe('NonceManager', () => {
+    let rpc;
+    let manager;
+
+    beforeEach(() => {
+        rpc = {
+            getBalance: vi.fn(async () => ({ balance: 10, nonce: 4 })),
+            getStagedTransactions: vi.fn(async () => [])
+        };
+        manager = new NonceManager(rpc);
+    });
+
+    it('should hand out increasing nonces before the first one confirms', async () => {
+        const nonces = await Promise.all([
+            manager.reserveNonce(ADDRESS),
+            manager.reserveNonce(ADDRESS),
+            manager.reserveNonce(ADDRESS)
+        ]);
+        expect(nonces).toEqual([5, 6, 7]);
+    });
+
+    it('should skip nonces already waiting in the staging pool', async () => {
+        rpc.getStagedTransactions.mockResolvedValue([
+            { from: ADDRESS, nonce: '5' },
+            { from: 'oct' + '2'.repeat(44), nonce: '6' }
+        ]);
+        expect(await manager.reserveNonce(ADDRESS)).toBe(6);
+    });
+
+    it('should forget reservations once the network confirms them', async () => {
+        await manager.reserveNonce(ADDRESS);
+        await manager.reserveNonce(ADDRESS);
+        rpc.getBalance.mockResolvedValue({ balance: 10, nonce: 6 });
+        expect(await manager.reserveNonce(ADDRESS)).toBe(7);
+    });
+
+    it('should reuse a released nonce instead of leaving a gap', async () => {
+        const first = await manager.reserveNonce(ADDRESS);
+        await manager.reserveNonce(ADDRESS);
+        await manager.releaseNonce(ADDRESS, first);
+        expect(await manager.reserveNonce(ADDRESS)).toBe(first);
+    });
+
+    it('should keep counting from local reservations while the node is unreachable', async () => {
+        await manager.reserveNonce(ADDRESS);
+        rpc.getBalance.mockRejectedValue(new Error('offline'));
+        expect(await manager.reserveNonce(ADDRESS)).toBe(6);
+
+        await expect(new NonceManager(rpc).reserveNonce(ADDRESS)).rejects.toThrow(/network unavailable/);
+    });
+
+    it('should reserve batches as a consecutive run past held nonces', async () => {
+        const first = await manager.reserveNonce(ADDRESS);
+        await manager.reserveNonce(ADDRESS);
+        await manager.releaseNonce(ADDRESS, first);
+        expect(await manager.reserveNonces(ADDRESS, 2)).toEqual([7, 8]);
+        expect(await manager.reserveNonce(ADDRESS)).toBe(first);
+    });
+
+    it('should not hand out nonces chosen elsewhere', async () => {
+        await manager.trackNonce(ADDRESS, 5);
+        expect(await manager.reserveNonce(ADDRESS)).toBe(6);
+    });
+});
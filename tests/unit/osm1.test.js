@@ -0,0 +1,167 @@
+/**
+ * OSM Message Standard Unit Tests
+ * Tests for Sign-In-With-Octra messages and OSM-2 typed data
+ *
+ * Runs in node: tweetnacl rejects Uint8Arrays created by the jsdom TextEncoder
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import nacl from 'tweetnacl';
+import {
+    encodeType,
+    encodeTypedData,
+    validateTypedData,
+    createTypedDataSigningMessage,
+    verifyOSM2Signature,
+    uint8ArrayToBase64,
+    base58Encode,
+    sha256,
+    createSignInPayload,
+    parseSignInMessage,
+    validateSignInMessage,
+    TYPED_DATA_PREFIX
+} from '../../src/utils/osm1';
+
+const MAKER = 'oct' + '1'.repeat(44);
+
+const order = () => ({
+    types: {
+        Order: [
+            { name: 'maker', type: 'address' },
+            { name: 'amount', type: 'uint' },
+            { name: 'asset', type: 'Asset' },
+            { name: 'tags', type: 'string[]' }
+        ],
+        Asset: [{ name: 'symbol', type: 'string' }]
+    },
+    primaryType: 'Order',
+    domain: { name: 'Exchange', version: '1', chainId: 2, origin: 'https://dex.example' },
+    message: {
+        tags: ['limit'],
+        asset: { symbol: 'OCT' },
+        amount: 1500000,
+        maker: MAKER
+    }
+});
+
+describe('Sign-In-With-Octra', () => {
+
+    const signIn = () => createSignInPayload({
+        address: MAKER,
+        domain: 'https://app.example',
+        uri: 'https://app.example/login',
+        statement: 'Log in to App',
+        chainId: 2,
+        expiresIn: 60000,
+        resources: ['https://app.example/terms']
+    });
+
+    it('should build an OSM-1 payload whose message parses back', () => {
+        const payload = signIn();
+        expect(payload.version).toBe('OSM-1');
+
+        const fields = parseSignInMessage(payload.message);
+        expect(fields).toMatchObject({
+            domain: 'https://app.example',
+            address: MAKER,
+            statement: 'Log in to App',
+            uri: 'https://app.example/login',
+            chainId: 2,
+            nonce: payload.nonce,
+            resources: ['https://app.example/terms']
+        });
+        expect(Date.parse(fields.expirationTime)).toBe(payload.expiresAt);
+    });
+
+    it('should not parse ordinary messages', () => {
+        expect(parseSignInMessage('hello')).toBeNull();
+        expect(parseSignInMessage(signIn().message + '\nFoo: bar')).toBeNull();
+    });
+
+    it('should flag domain mismatch and expiry', () => {
+        const fields = parseSignInMessage(signIn().message);
+        expect(validateSignInMessage(fields, { expectedDomain: 'https://app.example' }).valid).toBe(true);
+
+        const phishing = validateSignInMessage(fields, { expectedDomain: 'https://evil.example' });
+        expect(phishing.valid).toBe(false);
+        expect(phishing.validations.domainMatch).toBe(false);
+
+        const later = validateSignInMessage(fields, { now: Date.now() + 120000 });
+        expect(later.validations.notExpired).toBe(false);
+    });
+});
+
+describe('OSM-2 Typed Data', () => {
+
+    describe('encodeType', () => {
+        it('should list the primary type first and dependencies sorted', () => {
+            const { types } = order();
+            expect(encodeType('Order', types)).toBe(
+                'Order(address maker,uint amount,Asset asset,string[] tags)Asset(string symbol)'
+            );
+        });
+    });
+
+    describe('encodeTypedData', () => {
+        it('should encode fields in schema order with integers as strings', () => {
+            const encoded = encodeTypedData(order());
+            expect(Object.keys(encoded.message)).toEqual(['maker', 'amount', 'asset', 'tags']);
+            expect(encoded.message.amount).toBe('1500000');
+            expect(encoded.domain.chainId).toBe('2');
+        });
+
+        it('should be deterministic regardless of input key order', () => {
+            const reordered = order();
+            reordered.message = { maker: MAKER, amount: '1500000', asset: { symbol: 'OCT' }, tags: ['limit'] };
+            expect(createTypedDataSigningMessage(reordered)).toBe(createTypedDataSigningMessage(order()));
+            expect(createTypedDataSigningMessage(order()).startsWith(TYPED_DATA_PREFIX)).toBe(true);
+        });
+    });
+
+    describe('validateTypedData', () => {
+        it('should reject values that do not match the schema', () => {
+            const data = order();
+            data.message.amount = -1;
+            expect(validateTypedData(data).valid).toBe(false);
+        });
+
+        it('should reject undeclared fields and unknown types', () => {
+            const extra = order();
+            extra.message.extra = 'x';
+            expect(validateTypedData(extra).valid).toBe(false);
+
+            const unknown = order();
+            unknown.types.Asset = [{ name: 'symbol', type: 'Token' }];
+            expect(validateTypedData(unknown).valid).toBe(false);
+        });
+
+        it('should require a chainId in the domain', () => {
+            const data = order();
+            delete data.domain.chainId;
+            expect(validateTypedData(data).error).toMatch(/chainId/);
+        });
+    });
+
+    describe('verifyOSM2Signature', () => {
+        it('should verify a signature and check origin and chain', async () => {
+            const keyPair = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(7));
+            const typedData = order();
+            const messageBytes = new TextEncoder().encode(createTypedDataSigningMessage(typedData));
+
+            const response = {
+                signature: uint8ArrayToBase64(nacl.sign.detached(messageBytes, keyPair.secretKey)),
+                publicKey: uint8ArrayToBase64(keyPair.publicKey),
+                address: 'oct' + base58Encode(await sha256(keyPair.publicKey)),
+                typedData
+            };
+
+            const ok = await verifyOSM2Signature(response, nacl, { expectedOrigin: 'https://dex.example', expectedChainId: 2 });
+            expect(ok.valid).toBe(true);
+
+            const wrongOrigin = await verifyOSM2Signature(response, nacl, { expectedOrigin: 'https://evil.example' });
+            expect(wrongOrigin.valid).toBe(false);
+            expect(wrongOrigin.validations.originMatch).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * OTX-1 Transaction Unit Tests
+ * Tests for amount conversion, validation and canonical signing
+ *
+ * Runs in node: tweetnacl rejects Uint8Arrays created by the jsdom TextEncoder
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import nacl from 'tweetnacl';
+import { bufferToBase64, verifySignature } from '../../src/utils/crypto';
+import {
+    DEFAULT_OU,
+    estimateFee,
+    toMicroUnits,
+    fromMicroUnits,
+    buildTransaction,
+    serializeTransaction,
+    signTransaction
+} from '../../src/utils/otx1';
+
+const FROM = 'oct' + '1'.repeat(44);
+const TO = 'oct' + '2'.repeat(44);
+const SEED = new Uint8Array(32).fill(3);
+
+const build = (overrides = {}) => buildTransaction({
+    from: FROM,
+    to: TO,
+    amount: '0.29',
+    nonce: 5,
+    timestamp: 1_700_000_000.5,
+    ...overrides
+});
+
+describe('OTX-1 Transactions', () => {
+
+    describe('toMicroUnits', () => {
+        it('should convert without floating point drift', () => {
+            expect(toMicroUnits(0.29)).toBe('290000');
+            expect(toMicroUnits('1.1234567')).toBe('1123456');
+            expect(toMicroUnits(1e-7)).toBe('0');
+            expect(toMicroUnits('.5')).toBe('500000');
+            expect(fromMicroUnits('290000')).toBe(0.29);
+        });
+
+        it('should reject malformed and negative amounts', () => {
+            expect(() => toMicroUnits('1,5')).toThrow();
+            expect(() => toMicroUnits(-1)).toThrow();
+            expect(() => toMicroUnits('')).toThrow();
+        });
+    });
+
+    describe('buildTransaction', () => {
+        it('should produce the same transaction for equivalent inputs', () => {
+            expect(build({ amount: 0.29 })).toEqual(build({ amountRaw: '290000' }));
+            expect(build({ fee: 0.002 }).ou).toBe(DEFAULT_OU);
+            expect(build().ou).toBe(DEFAULT_OU);
+        });
+
+        it('should validate addresses, nonce and fee', () => {
+            expect(() => build({ to: 'oct123' })).toThrow(/to must be/);
+            expect(() => build({ nonce: 0 })).toThrow(/nonce/);
+            expect(() => build({ fee: 0 })).toThrow(/fee/);
+        });
+    });
+
+    describe('estimateFee', () => {
+        it('should use the network estimate and fall back to the default ou', async () => {
+            const fee = await estimateFee('1', { getFeeEstimate: async () => ({ medium: 0.02 }) });
+            expect(build({ fee }).ou).toBe('20000');
+
+            const fallback = await estimateFee('1', { getFeeEstimate: async () => { throw new Error('offline'); } });
+            expect(build({ fee: fallback }).ou).toBe(DEFAULT_OU);
+        });
+    });
+
+    describe('signTransaction', () => {
+        it('should sign the canonical payload deterministically', () => {
+            const publicKey = bufferToBase64(nacl.sign.keyPair.fromSeed(SEED).publicKey);
+            const signed = signTransaction(build({ message: 'memo' }), SEED);
+
+            expect(signed).toEqual(signTransaction(build({ message: 'memo' }), bufferToBase64(SEED)));
+            expect(signed.public_key).toBe(publicKey);
+            expect(serializeTransaction(signed)).not.toContain('memo');
+            expect(verifySignature(serializeTransaction(signed), signed.signature, publicKey)).toBe(true);
+        });
+    });
+});
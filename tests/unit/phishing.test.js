@@ -0,0 +1,79 @@
+/**
+ * Phishing Protection Unit Tests
+ * Tests for origin lists and lookalike detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_PHISHING_LISTS,
+    PHISHING_REASONS,
+    checkOrigin,
+    getHostname,
+    normalizeHostEntry,
+    isValidPhishingLists
+} from '../../src/utils/phishing';
+
+describe('Phishing Protection', () => {
+
+    describe('checkOrigin', () => {
+        it('should allow known sites and their subdomains', () => {
+            expect(checkOrigin('https://octra.network').blocked).toBe(false);
+            expect(checkOrigin('https://explorer.octra.network').reason).toBe(PHISHING_REASONS.ALLOWLIST);
+        });
+
+        it('should not flag unrelated sites', () => {
+            expect(checkOrigin('https://example.com')).toEqual({ blocked: false, reason: null, match: null });
+            expect(checkOrigin('http://localhost:5173').blocked).toBe(false);
+        });
+
+        it('should block list entries and their subdomains', () => {
+            const lists = { ...DEFAULT_PHISHING_LISTS, blocklist: ['evil.example'] };
+            expect(checkOrigin('https://app.evil.example', lists)).toMatchObject({
+                blocked: true,
+                reason: PHISHING_REASONS.BLOCKLIST
+            });
+        });
+
+        it('should let user entries override the lists', () => {
+            const lists = { ...DEFAULT_PHISHING_LISTS, blocklist: ['evil.example'] };
+            expect(checkOrigin('https://evil.example', lists, { allow: ['evil.example'] }).blocked).toBe(false);
+            expect(checkOrigin('https://octra.network', lists, { deny: ['octra.network'] }).reason)
+                .toBe(PHISHING_REASONS.USER_DENY);
+        });
+    });
+
+    describe('lookalike detection', () => {
+        it('should flag homoglyph domains', () => {
+            // Cyrillic "о" in place of the Latin "o"
+            const origin = new URL('https://оctra.network').origin;
+            expect(checkOrigin(origin)).toMatchObject({ blocked: true, reason: PHISHING_REASONS.HOMOGLYPH, match: 'octra.network' });
+            expect(checkOrigin('https://0ctrascan.io').reason).toBe(PHISHING_REASONS.HOMOGLYPH);
+        });
+
+        it('should flag typosquats and other TLDs', () => {
+            expect(checkOrigin('https://octra.netwrok').reason).toBe(PHISHING_REASONS.TYPOSQUAT);
+            expect(checkOrigin('https://octra.com').reason).toBe(PHISHING_REASONS.TYPOSQUAT);
+        });
+
+        it('should flag known names hidden in subdomains', () => {
+            expect(checkOrigin('https://octra.network.login.example').reason).toBe(PHISHING_REASONS.SUBDOMAIN);
+        });
+    });
+
+    describe('helpers', () => {
+        it('should decode punycode hostnames', () => {
+            expect(getHostname('https://xn--ctra-45d.network')).toBe('оctra.network');
+        });
+
+        it('should normalize user entries', () => {
+            expect(normalizeHostEntry('Example.com/path')).toBe('example.com');
+            expect(normalizeHostEntry('https://app.example.com:8080')).toBe('app.example.com');
+            expect(normalizeHostEntry('not a site')).toBeNull();
+        });
+
+        it('should validate published lists', () => {
+            expect(isValidPhishingLists(DEFAULT_PHISHING_LISTS)).toBe(true);
+            expect(isValidPhishingLists({ version: 2, allowlist: [], blocklist: 'x', protected: [] })).toBe(false);
+        });
+    });
+});
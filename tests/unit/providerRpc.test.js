@@ -0,0 +1,60 @@
+/**
+ * Provider RPC Unit Tests
+ * Tests for provider error normalization and dApp parameter validation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    PROVIDER_ERROR_CODES,
+    toProviderError,
+    validateTransactionParams,
+    validateDappParams
+} from '../../src/utils/providerRpc';
+
+const TO = 'oct' + '2'.repeat(44);
+
+describe('Provider RPC', () => {
+
+    describe('toProviderError', () => {
+        it('should keep known codes and map unknown ones to internal', () => {
+            expect(toProviderError({ code: 4001, message: 'User rejected' })).toEqual({ code: 4001, message: 'User rejected' });
+            expect(toProviderError({ code: 5000, message: 'Broadcast failed' }).code).toBe(PROVIDER_ERROR_CODES.INTERNAL);
+        });
+
+        it('should give legacy string errors a code', () => {
+            expect(toProviderError('Wallet locked. Please unlock.').code).toBe(PROVIDER_ERROR_CODES.UNAUTHORIZED);
+            expect(toProviderError(new Error('boom'))).toEqual({ code: PROVIDER_ERROR_CODES.INTERNAL, message: 'boom' });
+        });
+    });
+
+    describe('validateTransactionParams', () => {
+        it('should accept a transaction with a recipient and amount', () => {
+            expect(validateTransactionParams({ to: TO, amount: '1.5' })).toBeNull();
+            expect(validateTransactionParams({ to: TO, amountRaw: '1500000', fee: 0.002, nonce: 7 })).toBeNull();
+        });
+
+        it('should reject missing recipients and malformed amounts', () => {
+            expect(validateTransactionParams({ amount: 1 }).message).toMatch(/^to /);
+            expect(validateTransactionParams({ to: TO }).message).toMatch(/amount/);
+            expect(validateTransactionParams({ to: TO, amount: '-1' }).code).toBe(PROVIDER_ERROR_CODES.INVALID_PARAMS);
+            expect(validateTransactionParams({ to: TO, amountRaw: '1.5' }).message).toMatch(/amountRaw/);
+        });
+    });
+
+    describe('validateDappParams', () => {
+        it('should reject non-object params and malformed method params', () => {
+            expect(validateDappParams('getAccounts', ['x']).code).toBe(PROVIDER_ERROR_CODES.INVALID_PARAMS);
+            expect(validateDappParams('requestPermissions', { permissions: [] })).not.toBeNull();
+            expect(validateDappParams('sendTransactions', { transactions: [{ to: TO, amount: 1 }, { amount: 1 }] }).message)
+                .toMatch(/^transactions\[1\]/);
+            expect(validateDappParams('switchNetwork', { chainId: '2' })).not.toBeNull();
+        });
+
+        it('should let well-formed requests and methods without checks through', () => {
+            expect(validateDappParams('getAccounts')).toBeNull();
+            expect(validateDappParams('switchNetwork', { chainId: 1 })).toBeNull();
+            expect(validateDappParams('getBalance', { address: null })).toBeNull();
+            expect(validateDappParams('sendTransaction', { to: TO, amount: 1, from: null })).toBeNull();
+        });
+    });
+});
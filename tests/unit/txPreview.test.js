@@ -0,0 +1,72 @@
+/**
+ * Transaction Preview Unit Tests
+ * Tests for balance-change simulation and dApp transaction warnings
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    PREVIEW_WARNINGS,
+    getPendingOutgoing,
+    buildTransactionPreview
+} from '../../src/utils/txPreview';
+
+const FROM = 'oct' + '1'.repeat(44);
+const TO = 'oct' + '2'.repeat(44);
+
+const preview = (overrides = {}) => buildTransactionPreview({
+    account: { balance: 10, nonce: 4 },
+    staged: [],
+    tx: { from: FROM, to: TO, amount: '1' },
+    knownAddresses: [TO],
+    ...overrides
+});
+
+const warningTypes = (result) => result.warnings.map(w => w.type);
+
+describe('Transaction Preview', () => {
+
+    describe('getPendingOutgoing', () => {
+        it('should sum amount and fee of the sender\'s staged transactions only', () => {
+            const pending = getPendingOutgoing([
+                { from: FROM, amount: '2000000', ou: '1000', nonce: '5' },
+                { from: FROM, amount: '5', ou: '1000', nonce: '6' },
+                { from: TO, amount: '9000000', nonce: '8' }
+            ], FROM);
+            expect(pending.count).toBe(2);
+            expect(pending.amount).toBeCloseTo(2.002005);
+            expect(pending.maxNonce).toBe(6);
+        });
+    });
+
+    describe('buildTransactionPreview', () => {
+        it('should compute the resulting balance and next nonce', () => {
+            const result = preview();
+            expect(result.resultingBalance).toBeCloseTo(10 - 1 - 0.002);
+            expect(result.nonce).toBe(5);
+            expect(result.warnings).toEqual([]);
+        });
+
+        it('should flag insufficient funds once pending transactions are counted', () => {
+            const result = preview({
+                staged: [{ from: FROM, amount: '9500000', nonce: '5' }]
+            });
+            expect(result.available).toBeCloseTo(10 - 9.5 - 0.002);
+            expect(result.nonce).toBe(6);
+            expect(warningTypes(result)).toEqual([PREVIEW_WARNINGS.INSUFFICIENT_FUNDS]);
+        });
+
+        it('should flag amounts above the configured share of the balance', () => {
+            const tx = { from: FROM, to: TO, amountRaw: '6000000' };
+            expect(warningTypes(preview({ tx }))).toEqual([PREVIEW_WARNINGS.LARGE_AMOUNT]);
+            expect(preview({ tx, largeTxPercent: 75 }).warnings).toEqual([]);
+            expect(preview({ tx, largeTxPercent: 0 }).warnings).toEqual([]);
+        });
+
+        it('should tell unknown recipients from never-used ones', () => {
+            expect(warningTypes(preview({ knownAddresses: [] })))
+                .toEqual([PREVIEW_WARNINGS.UNKNOWN_RECIPIENT]);
+            expect(warningTypes(preview({ knownAddresses: [], recipientSeen: false })))
+                .toEqual([PREVIEW_WARNINGS.NEW_RECIPIENT]);
+        });
+    });
+});